@@ -0,0 +1,191 @@
+/**
+ * Astronomical tide context, computed locally (no external service)
+ *
+ * Moon position from the main periodic terms of Meeus, Astronomical Algorithms ch. 47 (longitude
+ * ~0.01°, distance ~100 km — ample for tagging tide cycles), the Sun's longitude from ch. 25.
+ *
+ *  - astroContext(ms, apsides): lunar phase (0 new, 0.5 full), declination, Earth–Moon distance,
+ *    nearest perigee/apogee and the cycle tag:
+ *      "king"    perigean spring tide: within SPRING_WINDOW_DAYS of new/full moon and
+ *                KING_PERIGEE_HOURS of perigee
+ *      "spring"  within SPRING_WINDOW_DAYS of new/full moon
+ *      null      otherwise
+ *  - floodCause(e, T): "astronomical", "surge" or "unknown" for a flooded high (null otherwise).
+ *    The flood is astronomical when the predicted crest height alone (pred, NAVD88) came within
+ *    ASTRO_MARGIN_FT of minor flood stage; without a pred there is nothing to split by ("unknown";
+ *    tools/update_peaks_navd88.js --backfill-predictions fills pred in).
+ *
+ * Shared like crest_events.mjs: tools/update_peaks_navd88.js tags the cache with it (require()),
+ * the dashboard splits flood counts with floodCause() (import()).
+ */
+
+const SYNODIC_DAYS = 29.530589;
+export const SPRING_WINDOW_DAYS = 2;
+export const KING_PERIGEE_HOURS = 72;
+export const ASTRO_MARGIN_FT = 0.5;
+export const FLOOD_CAUSES = ["astronomical", "surge", "unknown"]; // floodCause() values, in manifest order
+const APSIS_SCAN_HOURS = 3;
+const HOUR_MS = 3600 * 1000;
+const DEG = Math.PI / 180;
+
+const norm360 = x => ((x % 360) + 360) % 360;
+
+// [D, M, M', F, longitude coefficient (deg), distance coefficient (km)] — Meeus table 47.A, largest terms
+const LR_TERMS = [
+  [0, 0, 1, 0, 6.288774, -20905.355],
+  [2, 0, -1, 0, 1.274027, -3699.111],
+  [2, 0, 0, 0, 0.658314, -2955.968],
+  [0, 0, 2, 0, 0.213618, -569.925],
+  [0, 1, 0, 0, -0.185116, 48.888],
+  [0, 0, 0, 2, -0.114332, -3.149],
+  [2, 0, -2, 0, 0.058793, 246.158],
+  [2, -1, -1, 0, 0.057066, -152.138],
+  [2, 0, 1, 0, 0.053322, -170.733],
+  [2, -1, 0, 0, 0.045758, -204.586],
+  [0, 1, -1, 0, -0.040923, -129.620],
+  [1, 0, 0, 0, -0.034720, 108.743],
+  [0, 1, 1, 0, -0.030383, 104.755],
+  [2, 0, 0, -2, 0.015327, 10.321],
+  [0, 0, 1, 2, -0.012528, 0],
+  [0, 0, 1, -2, 0.010980, 79.661],
+  [4, 0, -1, 0, 0.010675, -34.782],
+  [0, 0, 3, 0, 0.010034, -23.210],
+  [4, 0, -2, 0, 0.008548, -21.636],
+  [2, 1, -1, 0, -0.007888, 24.208],
+  [2, 1, 0, 0, -0.006766, 30.824],
+  [1, 0, -1, 0, -0.005163, -8.379],
+  [1, 1, 0, 0, 0.004987, -16.675],
+  [2, -1, 1, 0, 0.004036, -12.831],
+  [2, 0, 2, 0, 0.003994, -10.445],
+  [4, 0, 0, 0, 0.003861, -11.650],
+  [2, 0, -3, 0, 0.003665, 14.403]
+];
+
+// [D, M, M', F, latitude coefficient (deg)] — Meeus table 47.B, largest terms
+const B_TERMS = [
+  [0, 0, 0, 1, 5.128122],
+  [0, 0, 1, 1, 0.280602],
+  [0, 0, 1, -1, 0.277693],
+  [2, 0, 0, -1, 0.173237],
+  [2, 0, -1, 1, 0.055413],
+  [2, 0, -1, -1, 0.046271],
+  [2, 0, 0, 1, 0.032573],
+  [0, 0, 2, 1, 0.017198]
+];
+
+/** Geocentric Moon at ms: { lon, lat, decl (deg), distKm, elongation (deg east of the Sun) }. */
+export function moonPosition(ms) {
+  const T = (ms / 86400000 + 2440587.5 - 2451545.0) / 36525;
+  const Lp = 218.3164477 + 481267.88123421 * T;
+  const D = 297.8501921 + 445267.1114034 * T;
+  const M = 357.5291092 + 35999.0502909 * T;
+  const Mp = 134.9633964 + 477198.8675055 * T;
+  const F = 93.2720950 + 483202.0175233 * T;
+  const E = 1 - 0.002516 * T; // eccentricity of Earth's orbit, for terms in M
+
+  let sl = 0, sr = 0, sb = 0;
+  for (const [d, m, mp, f, l, r] of LR_TERMS) {
+    const arg = (d * D + m * M + mp * Mp + f * F) * DEG;
+    const e = Math.abs(m) === 1 ? E : 1;
+    sl += l * e * Math.sin(arg);
+    sr += r * e * Math.cos(arg);
+  }
+  for (const [d, m, mp, f, b] of B_TERMS) {
+    const e = Math.abs(m) === 1 ? E : 1;
+    sb += b * e * Math.sin((d * D + m * M + mp * Mp + f * F) * DEG);
+  }
+
+  const lon = norm360(Lp + sl);
+  const lat = sb;
+  const eps = (23.439291 - 0.0130042 * T) * DEG;
+  const decl = Math.asin(Math.sin(lat * DEG) * Math.cos(eps) + Math.cos(lat * DEG) * Math.sin(eps) * Math.sin(lon * DEG)) / DEG;
+
+  // Sun's apparent longitude (Meeus ch. 25, low precision)
+  const Ms = M * DEG;
+  const sunLon = 280.46646 + 36000.76983 * T +
+    (1.914602 - 0.004817 * T) * Math.sin(Ms) + 0.019993 * Math.sin(2 * Ms) + 0.000289 * Math.sin(3 * Ms);
+
+  return { lon, lat, decl, distKm: 385000.56 + sr, elongation: norm360(lon - sunLon) };
+}
+
+/**
+ * Perigees and apogees between msA and msB (padded by half an anomalistic month each side):
+ * [{ t (ms), type: "perigee" | "apogee", distKm }], oldest first. Extremes of the distance are
+ * found on an APSIS_SCAN_HOURS grid and refined with a parabola through the three grid points.
+ */
+export function findApsides(msA, msB) {
+  const step = APSIS_SCAN_HOURS * HOUR_MS;
+  const pad = 14 * 24 * HOUR_MS;
+  const from = Math.floor((msA - pad) / step) * step;
+  const dist = ms => moonPosition(ms).distKm;
+
+  const out = [];
+  let r0 = dist(from - step), r1 = dist(from);
+  for (let t = from; t <= msB + pad; t += step) {
+    const r2 = dist(t + step);
+    const isMin = r1 < r0 && r1 <= r2;
+    const isMax = r1 > r0 && r1 >= r2;
+    if (isMin || isMax) {
+      const denom = r0 - 2 * r1 + r2;
+      const off = denom ? 0.5 * (r0 - r2) / denom : 0;
+      const tx = Math.round(t + off * step);
+      out.push({ t: tx, type: isMin ? "perigee" : "apogee", distKm: dist(tx) });
+    }
+    r0 = r1;
+    r1 = r2;
+  }
+  return out;
+}
+
+function nearestApsis(ms, apsides) {
+  let lo = 0, hi = apsides.length - 1;
+  if (hi < 0) return null;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (apsides[mid].t <= ms) lo = mid; else hi = mid;
+  }
+  return Math.abs(apsides[lo].t - ms) <= Math.abs(apsides[hi].t - ms) ? apsides[lo] : apsides[hi];
+}
+
+function nearestPerigeeHours(ms, apsides) {
+  let best = null;
+  for (const a of apsides) {
+    if (a.type !== "perigee") continue;
+    const h = (ms - a.t) / HOUR_MS;
+    if (best === null || Math.abs(h) < Math.abs(best)) best = h;
+    if (a.t > ms) break;
+  }
+  return best;
+}
+
+/**
+ * Context for a crest at ms (apsides from findApsides covering it):
+ *   { phase, decl, dist_km, apsis: "perigee"|"apogee", apsis_h, tag: "king"|"spring"|null }
+ * phase 0 = new, 0.5 = full; apsis_h is hours after (negative: before) the nearest apsis.
+ */
+export function astroContext(ms, apsides) {
+  const m = moonPosition(ms);
+  const phase = m.elongation / 360;
+  const daysFromSyzygy = Math.min(phase % 0.5, 0.5 - (phase % 0.5)) * SYNODIC_DAYS;
+  const spring = daysFromSyzygy <= SPRING_WINDOW_DAYS;
+
+  const aps = nearestApsis(ms, apsides);
+  const perigeeH = nearestPerigeeHours(ms, apsides);
+  const king = spring && perigeeH !== null && Math.abs(perigeeH) <= KING_PERIGEE_HOURS;
+
+  return {
+    phase: Math.round(phase * 1000) / 1000,
+    decl: Math.round(m.decl * 10) / 10,
+    dist_km: Math.round(m.distKm),
+    apsis: aps ? aps.type : null,
+    apsis_h: aps ? Math.round((ms - aps.t) / HOUR_MS) : null,
+    tag: king ? "king" : spring ? "spring" : null
+  };
+}
+
+/** "astronomical" | "surge" | "unknown" (no pred) for a flooded high (NAVD88 thresholds T); null when not flooded. */
+export function floodCause(e, T) {
+  if (e?.kind === "CrestLow" || !(Number(e?.ft) >= T.minorLow)) return null;
+  if (!Number.isFinite(e.pred)) return "unknown";
+  return e.pred >= T.minorLow - ASTRO_MARGIN_FT ? "astronomical" : "surge";
+}
@@ -0,0 +1,118 @@
+/**
+ * CO-OPS meteorological products (wind, air_pressure) for tools/update_met.js and the peaks cache
+ *
+ *  - fetchMet({ station, startISO, endISO }): hourly wind and air pressure, chunked like the tide
+ *    predictions (30-day requests). A station/period without a sensor returns an empty series
+ *    (CO-OPS answers { error } for "No data was found"); HTTP failures throw.
+ *      wind:     [{ t, kt, deg, dir, gust }]   speed/gust in knots, direction the wind blows FROM
+ *      pressure: [{ t, mb }]
+ *  - metAroundCrest(ms, met): the flood-tide signature over the MET_BEFORE_HOURS before the crest
+ *    to MET_AFTER_HOURS after it — strongest wind (with its direction and the highest gust) and
+ *    lowest pressure: { wind_kt, wind_deg, wind_dir, gust_kt, pres_mb } (null fields when missing)
+ *
+ * The met station is the registry entry's metStation.id (a nearby station with sensors), else its
+ * noaaStation.
+ */
+
+const { getJSON } = require("./http");
+
+const MET_BEFORE_HOURS = 12; // wind set-up builds over the preceding tides
+const MET_AFTER_HOURS = 2;
+const CHUNK_DAYS = 30;
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function yyyymmddUTC(ms) {
+  return new Date(ms).toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+// "YYYY-MM-DD HH:MM" (time_zone=gmt) -> ISO
+function coopsTimeToISO(t) {
+  return new Date(t.replace(" ", "T") + ":00Z").toISOString();
+}
+
+function num(v) {
+  const x = Number(v);
+  return v !== "" && v != null && Number.isFinite(x) ? x : null;
+}
+
+async function fetchProduct({ station, product, beginMs, endMs }) {
+  const url =
+    "https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?" +
+    new URLSearchParams({
+      product,
+      application: "peaks-cache",
+      format: "json",
+      station,
+      time_zone: "gmt",
+      units: "english",
+      interval: "h",
+      begin_date: yyyymmddUTC(beginMs),
+      end_date: yyyymmddUTC(endMs)
+    }).toString();
+
+  const j = await getJSON(url, { label: `CO-OPS ${product} fetch` });
+  return Array.isArray(j?.data) ? j.data : [];
+}
+
+async function fetchMet({ station, startISO, endISO }) {
+  const start = new Date(startISO).getTime();
+  const end = new Date(endISO).getTime();
+  if (!Number.isFinite(start) || !Number.isFinite(end)) throw new Error("Invalid startISO/endISO for CO-OPS met.");
+
+  const wind = [];
+  const pressure = [];
+  for (let cur = start; cur <= end; cur += (CHUNK_DAYS + 1) * DAY_MS) {
+    const chunkEnd = Math.min(end, cur + CHUNK_DAYS * DAY_MS);
+    for (const r of await fetchProduct({ station, product: "wind", beginMs: cur, endMs: chunkEnd })) {
+      const kt = num(r.s);
+      if (!r?.t || kt === null) continue;
+      wind.push({ t: coopsTimeToISO(r.t), kt, deg: num(r.d), dir: r.dr || null, gust: num(r.g) });
+    }
+    for (const r of await fetchProduct({ station, product: "air_pressure", beginMs: cur, endMs: chunkEnd })) {
+      const mb = num(r.v);
+      if (!r?.t || mb === null) continue;
+      pressure.push({ t: coopsTimeToISO(r.t), mb });
+    }
+  }
+
+  // Keep the requested window (requests are whole days)
+  const inRange = p => { const ms = Date.parse(p.t); return ms >= start && ms <= end; };
+  return { wind: wind.filter(inRange), pressure: pressure.filter(inRange) };
+}
+
+function metAroundCrest(ms, { wind = [], pressure = [] }) {
+  const lo = ms - MET_BEFORE_HOURS * HOUR_MS;
+  const hi = ms + MET_AFTER_HOURS * HOUR_MS;
+  const within = p => { const t = Date.parse(p.t); return t >= lo && t <= hi; };
+
+  let w = null, gust = null, p = null;
+  for (const x of wind.filter(within)) {
+    if (!w || x.kt > w.kt) w = x;
+    if (x.gust !== null && (gust === null || x.gust > gust)) gust = x.gust;
+  }
+  for (const x of pressure.filter(within)) {
+    if (!p || x.mb < p.mb) p = x;
+  }
+
+  return {
+    wind_kt: w ? w.kt : null,
+    wind_deg: w ? w.deg : null,
+    wind_dir: w ? w.dir : null,
+    gust_kt: gust,
+    pres_mb: p ? p.mb : null
+  };
+}
+
+/** Registry entry -> CO-OPS station id for wind/pressure. */
+function metStationOf(station) {
+  return station?.metStation?.id || station?.noaaStation || null;
+}
+
+module.exports = {
+  MET_BEFORE_HOURS,
+  MET_AFTER_HOURS,
+  fetchMet,
+  metAroundCrest,
+  metStationOf
+};
@@ -0,0 +1,369 @@
+/**
+ * Crest-anchored tide events — the one implementation shared by the cache builder and the dashboard
+ *
+ * tools/update_peaks_navd88.js loads it with require() (Node 20.19+ loads ES modules synchronously);
+ * index.html loads it with import() before boot. tools/test/ checks both paths give identical events.
+ *
+ *  - parseUsgsIv(json, parameterCd): USGS IV response -> [{ t, ft, q }] sorted by time (the longest
+ *    series with that parameter code in feet; [] when there is none)
+ *  - parseHiloPredictions(json): CO-OPS predictions (interval=hilo, time_zone=gmt) -> [{ t, type: "H"|"L", v }]
+ *  - buildCrestEvents({ series, predicted, thresholdsNAVD88, datumValues }): { highs, lows }
+ *      For each predicted crest, the observed MAX (MIN for lows) within ±CREST_WINDOW_HOURS; crests
+ *      with no observation within ±REQUIRE_WITHIN_HOURS are skipped. Highs are classified against the
+ *      NAVD88 thresholds and record time above them; pred is the predicted height (MLLW -> NAVD88).
+ *  - pairTidalRanges(events): each high paired with the next low (rangeFt, rangeLowCrest)
+ *  - mergeByCrest(events, built, { replace }): dedupe keyed by predicted crest time; a higher max
+ *    (lower min) wins, replace=true lets rebuilt events win regardless
+ *  - classifyNAVD(ft, T), convertDatumFt(ft, from, to, values), roundFt(x)
+ *  - thresholdsHistory(history, current) / thresholdsAt(sets, ms): the flood thresholds in force at
+ *    a time, for classifying by the categories of the day as well as by today's
+ *
+ * Event shape: { t, ft, type?, crest, kind: "CrestHigh"|"CrestLow", pred?, qualifiers, nObs,
+ * maxGapMin, above? } — see the header of tools/update_peaks_navd88.js for the fields.
+ */
+
+export const CREST_WINDOW_HOURS = 2;      // search max within ±2h of predicted crest
+export const REQUIRE_WITHIN_HOURS = 1;    // if NO obs points within ±1h, skip that crest entirely
+
+export const DURATION_MAX_GAP_MINUTES = 30; // longer holes in the IV series end a run (no bridging)
+export const DURATION_SEARCH_HOURS = 6;     // never follow a run past half a tidal cycle
+const DURATION_LEVELS = [
+  ["minor", "minorLow"],
+  ["moderate", "moderateLow"],
+  ["major", "majorLow"]
+];
+
+export const RANGE_PAIR_MAX_HOURS = 9;
+
+export const QUALITY_FIELDS = ["qualifiers", "nObs", "maxGapMin"];
+// Fields recomputed from the series around the same winning point (window may have filled in)
+export const DERIVED_FIELDS = [...QUALITY_FIELDS, "above"];
+
+const HOUR_MS = 3600 * 1000;
+
+export function roundFt(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+export function classifyNAVD(ft, T) {
+  let type = "Below";
+  if (ft >= T.majorLow) type = "Major";
+  else if (ft >= T.moderateLow) type = "Moderate";
+  else if (ft >= T.minorLow) type = "Minor";
+  return type;
+}
+
+// -------------------------
+// Thresholds history (NWS revises the flood categories)
+// -------------------------
+// history: [{ from, minorLow, moderateLow, majorLow }] (NAVD88); from is the UTC day ("YYYY-MM-DD")
+// a set took effect, null for "since the start of the record". Returns the usable sets oldest first
+// with fromMs; without any, `current` (today's thresholds) applies throughout.
+export function thresholdsHistory(history, current = null) {
+  const sets = (Array.isArray(history) ? history : [])
+    .filter(h => Number.isFinite(h?.minorLow) && Number.isFinite(h?.moderateLow) && Number.isFinite(h?.majorLow))
+    .map(h => ({ ...h, fromMs: h.from ? Date.parse(`${h.from}T00:00:00Z`) : -Infinity }))
+    .filter(h => !Number.isNaN(h.fromMs))
+    .sort((a, b) => a.fromMs - b.fromMs);
+  if (!sets.length && current) sets.push({ ...current, from: null, fromMs: -Infinity });
+  return sets;
+}
+
+// The set in force at ms: the last one in effect by then (times before every set take the earliest)
+export function thresholdsAt(sets, ms) {
+  let T = sets[0] || null;
+  for (const s of sets) {
+    if (s.fromMs > ms) break;
+    T = s;
+  }
+  return T;
+}
+
+// values: datum name -> height on one shared reference (a station datum table); null when either
+// datum is missing
+export function convertDatumFt(ft, from, to, values) {
+  if (ft == null || !Number.isFinite(Number(ft))) return null;
+  if (from === to) return Number(ft);
+  if (!Number.isFinite(values?.[from]) || !Number.isFinite(values?.[to])) return null;
+  return Number(ft) + values[from] - values[to];
+}
+
+// -------------------------
+// Responses
+// -------------------------
+export function parseUsgsIv(json, parameterCd) {
+  const tss = Array.isArray(json?.value?.timeSeries) ? json.value.timeSeries : [];
+
+  let best = [];
+  for (const ts of tss) {
+    const code = ts?.variable?.variableCode?.[0]?.value || null;
+    const unit = (ts?.variable?.unit?.unitCode || "").toLowerCase();
+    if (code !== parameterCd || !(unit === "" || unit.includes("ft"))) continue;
+
+    const pts = (ts?.values?.[0]?.value || [])
+      .map(v => ({
+        t: v.dateTime,
+        ft: Number(v.value),
+        q: Array.isArray(v.qualifiers) ? v.qualifiers.map(String) : []
+      }))
+      .filter(p => p.t && Number.isFinite(p.ft));
+    if (pts.length > best.length) best = pts;
+  }
+
+  return best.sort((a, b) => new Date(a.t) - new Date(b.t));
+}
+
+export function parseHiloPredictions(json) {
+  const crests = [];
+  for (const p of Array.isArray(json?.predictions) ? json.predictions : []) {
+    if (p?.type !== "H" && p?.type !== "L") continue;
+    // "YYYY-MM-DD HH:MM" with time_zone=gmt
+    const ms = new Date(String(p.t).replace(" ", "T") + ":00Z").getTime();
+    if (!Number.isFinite(ms)) continue;
+    const v = Number(p.v);
+    crests.push({ t: new Date(ms).toISOString(), type: p.type, v: p.v !== "" && Number.isFinite(v) ? v : null });
+  }
+  return crests.sort((a, b) => new Date(a.t) - new Date(b.t));
+}
+
+// -------------------------
+// Crest-anchored event builder
+// -------------------------
+
+// predicted: parsed hilo crests (v in MLLW); datumValues converts v to the stored NAVD88 pred
+export function buildCrestEvents({ series, predicted, thresholdsNAVD88, datumValues = null }) {
+  const crests = type => (predicted || [])
+    .filter(p => p.type === type)
+    .map(p => ({ t: p.t, pred: convertDatumFt(p.v, "MLLW", "NAVD88", datumValues) }));
+
+  return {
+    highs: buildCrestAnchoredEvents({ series, crests: crests("H"), thresholdsNAVD88, low: false }),
+    lows: buildCrestAnchoredEvents({ series, crests: crests("L"), low: true })
+  };
+}
+
+// crests: [{ t, pred? (NAVD88) }]; low=false: window MAX, classified against thresholds;
+// low=true: window MIN, no flood type
+export function buildCrestAnchoredEvents({ series, crests, thresholdsNAVD88, low }) {
+  if (!Array.isArray(series) || !series.length) return [];
+  if (!Array.isArray(crests) || !crests.length) return [];
+
+  const w2 = CREST_WINDOW_HOURS * HOUR_MS;
+  const w1 = REQUIRE_WITHIN_HOURS * HOUR_MS;
+
+  const pts = [...series].sort((a, b) => new Date(a.t) - new Date(b.t));
+
+  const out = [];
+  let left = 0;
+
+  for (const h of crests) {
+    const crestISO = h.t;
+    const crestMs = new Date(crestISO).getTime();
+    if (!Number.isFinite(crestMs)) continue;
+
+    // Advance left pointer to first point >= crest - 2h
+    while (left < pts.length) {
+      const tMs = new Date(pts[left].t).getTime();
+      if (!Number.isFinite(tMs) || tMs < crestMs - w2) left++;
+      else break;
+    }
+
+    let i = left;
+    let hasWithin1h = false;
+    let best = null;
+    let bestIdx = -1;
+    let nObs = 0;
+    let prevMs = crestMs - w2;   // window edges count as gap boundaries
+    let maxGapMs = 0;
+
+    while (i < pts.length) {
+      const tMs = new Date(pts[i].t).getTime();
+      if (!Number.isFinite(tMs)) { i++; continue; }
+      if (tMs > crestMs + w2) break;
+
+      const dt = Math.abs(tMs - crestMs);
+      if (dt <= w1) hasWithin1h = true;
+
+      nObs++;
+      maxGapMs = Math.max(maxGapMs, tMs - prevMs);
+      prevMs = tMs;
+
+      if (!best || (low ? pts[i].ft < best.ft : pts[i].ft > best.ft)) { best = pts[i]; bestIdx = i; }
+      i++;
+    }
+    maxGapMs = Math.max(maxGapMs, crestMs + w2 - prevMs);
+
+    // Your rule: if we do not have ANY observed values within ±1h, do not report anything
+    if (!hasWithin1h) continue;
+    if (!best) continue;
+
+    const ft = Number(best.ft);
+    const e = {
+      t: new Date(best.t).toISOString(),     // observed time of window max (min for lows)
+      ft: roundFt(ft),
+      ...(low ? {} : { type: classifyNAVD(ft, thresholdsNAVD88) }),
+      crest: new Date(crestISO).toISOString(), // predicted crest time (key)
+      kind: low ? "CrestLow" : "CrestHigh",
+      ...(Number.isFinite(h.pred) ? { pred: roundFt(h.pred) } : {}),
+      qualifiers: Array.isArray(best.q) ? best.q : [],
+      nObs,
+      maxGapMin: Math.round(maxGapMs / 60000)
+    };
+    if (!low) {
+      const above = timeAboveThresholds(pts, bestIdx, thresholdsNAVD88);
+      if (above) e.above = above;
+    }
+    out.push(e);
+  }
+
+  return out;
+}
+
+// -------------------------
+// Time above thresholds (flood duration) around a high's window max
+// -------------------------
+
+// Walk from pts[idx] in direction dir (-1/+1) while ft >= level; return the crossing time
+function walkToCrossing(pts, idx, dir, level) {
+  const maxGapMs = DURATION_MAX_GAP_MINUTES * 60 * 1000;
+  const startMs = new Date(pts[idx].t).getTime();
+  let curMs = startMs;
+  let curFt = Number(pts[idx].ft);
+
+  for (let j = idx + dir; j >= 0 && j < pts.length; j += dir) {
+    const tMs = new Date(pts[j].t).getTime();
+    const ft = Number(pts[j].ft);
+    if (!Number.isFinite(tMs) || !Number.isFinite(ft)) continue;
+
+    if (Math.abs(tMs - curMs) > maxGapMs) return { ms: curMs, partial: true };
+    if (Math.abs(tMs - startMs) > DURATION_SEARCH_HOURS * HOUR_MS) return { ms: curMs, partial: true };
+
+    if (ft < level) {
+      // Linear interpolation between the last point above and the first point below
+      const frac = (curFt - level) / (curFt - ft);
+      return { ms: curMs + frac * (tMs - curMs), partial: false };
+    }
+    curMs = tMs;
+    curFt = ft;
+  }
+  return { ms: curMs, partial: true };
+}
+
+// pts sorted by time -> { minor|moderate|major: { up, down, hours, partial? } } or null
+export function timeAboveThresholds(pts, peakIdx, T) {
+  const peakFt = Number(pts[peakIdx]?.ft);
+  if (!Number.isFinite(peakFt)) return null;
+
+  const above = {};
+  for (const [name, key] of DURATION_LEVELS) {
+    const level = Number(T?.[key]);
+    if (!Number.isFinite(level) || peakFt < level) continue;
+
+    const up = walkToCrossing(pts, peakIdx, -1, level);
+    const down = walkToCrossing(pts, peakIdx, +1, level);
+    above[name] = {
+      up: new Date(Math.round(up.ms)).toISOString(),
+      down: new Date(Math.round(down.ms)).toISOString(),
+      hours: Math.round((down.ms - up.ms) / 36000) / 100
+    };
+    if (up.partial || down.partial) above[name].partial = true;
+  }
+  return Object.keys(above).length ? above : null;
+}
+
+// -------------------------
+// Tidal range: pair each high with the next low (before the following high)
+// -------------------------
+export function pairTidalRanges(events) {
+  const byCrest = [...events]
+    .filter(e => e?.crest && (e.kind === "CrestHigh" || e.kind === "CrestLow"))
+    .sort((a, b) => new Date(a.crest) - new Date(b.crest));
+
+  let paired = 0;
+  for (let i = 0; i < byCrest.length; i++) {
+    const h = byCrest[i];
+    if (h.kind !== "CrestHigh") continue;
+
+    const next = byCrest[i + 1];
+    const hMs = new Date(h.crest).getTime();
+    const ok =
+      next?.kind === "CrestLow" &&
+      new Date(next.crest).getTime() - hMs <= RANGE_PAIR_MAX_HOURS * HOUR_MS;
+
+    if (ok) {
+      h.rangeFt = roundFt(Number(h.ft) - Number(next.ft));
+      h.rangeLowCrest = next.crest;
+      paired++;
+    } else {
+      delete h.rangeFt;
+      delete h.rangeLowCrest;
+    }
+  }
+  return paired;
+}
+
+// -------------------------
+// Merge/dedupe (keyed by predicted crest time)
+// -------------------------
+function copyEvent(dst, src) {
+  dst.t = src.t;
+  dst.ft = src.ft;
+  dst.type = src.type;
+  dst.kind = src.kind;
+  dst.crest = src.crest;
+  if (Number.isFinite(src.pred)) dst.pred = src.pred;
+  for (const k of DERIVED_FIELDS) dst[k] = src[k];
+}
+
+// Highs improve with a higher window max, lows with a lower window min
+function isBetter(prev, e) {
+  const prevFt = Number(prev.ft);
+  const newFt = Number(e.ft);
+  if (!Number.isFinite(prevFt)) return true;
+  if (!Number.isFinite(newFt)) return false;
+  return e.kind === "CrestLow" ? newFt < prevFt : newFt > prevFt;
+}
+
+// Adds/updates built events into the events array (in place; events without a crest are kept
+// as-is) and returns { events, added, updated }, events in chronological order.
+// replace=true (provisional refresh): rebuilt events win even if lower — approved data is authoritative
+export function mergeByCrest(events, built, { replace = false } = {}) {
+  const existing = Array.isArray(events) ? events : [];
+  const byCrest = new Map();
+
+  for (const e of existing) {
+    if (e?.crest) byCrest.set(String(e.crest), e);
+  }
+
+  let added = 0;
+  let updated = 0;
+
+  for (const e of built) {
+    const key = String(e.crest);
+    const prev = byCrest.get(key);
+
+    if (!prev) {
+      existing.push(e);
+      byCrest.set(key, e);
+      added++;
+      continue;
+    }
+
+    // Update if we now have a better observed max/min (or previous was missing/NaN).
+    // If the old one exists but was based on sparse data and later we capture a higher max,
+    // prefer the higher max (lower min for lows).
+    if (replace || isBetter(prev, e)) {
+      copyEvent(prev, e);
+      updated++;
+    } else if (prev.t === e.t && DERIVED_FIELDS.some(k => JSON.stringify(prev[k]) !== JSON.stringify(e[k]))) {
+      // Same winning point: keep its qualifiers/coverage/durations current (window may have filled in)
+      for (const k of DERIVED_FIELDS) prev[k] = e[k];
+      updated++;
+    }
+  }
+
+  // Keep chronological order
+  existing.sort((a, b) => new Date(a.t) - new Date(b.t));
+
+  return { events: existing, added, updated };
+}
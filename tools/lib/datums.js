@@ -0,0 +1,70 @@
+/**
+ * Station datum tables (data/datums/<noaaStation>.json)
+ *
+ * Files follow the CO-OPS datums product (mdapi .../stations/<id>/datums.json):
+ *   { station, epoch, units, OrthometricDatum, datums: [{ name, description, value }], ... }
+ * plus our own { version, source_url, retrieved_utc }.
+ *
+ * All values in one file share a reference (CO-OPS uses the station datum, STND), so only
+ * differences matter: ft_in_B = ft_in_A + value(A) - value(B).
+ *
+ * version = "<epoch>:<8 hex of the values>" — written into every output that used the table.
+ * Conversion itself is convertDatumFt() in crest_events.mjs, shared with the dashboard.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { convertDatumFt, roundFt } = require("./crest_events.mjs");
+
+const DATUMS_DIR = path.join(__dirname, "..", "..", "data", "datums");
+const REQUIRED_DATUMS = ["MLLW", "NAVD88"];
+
+function datumsPath(noaaStation) {
+  return path.join(DATUMS_DIR, `${noaaStation}.json`);
+}
+
+function datumValues(doc) {
+  const values = {};
+  for (const d of Array.isArray(doc?.datums) ? doc.datums : []) {
+    const v = Number(d?.value);
+    if (d?.name && d.value !== null && Number.isFinite(v)) values[d.name] = v;
+  }
+  return values;
+}
+
+function datumTableVersion(doc) {
+  const values = datumValues(doc);
+  const canon = Object.keys(values).sort().map(k => `${k}=${values[k].toFixed(3)}`).join(";");
+  const hash = crypto.createHash("sha1").update(canon).digest("hex").slice(0, 8);
+  return `${doc?.epoch || "no-epoch"}:${hash}`;
+}
+
+// Throws if the table is missing or lacks MLLW/NAVD88 (callers decide whether that is fatal)
+function loadDatumTable(noaaStation) {
+  const p = datumsPath(noaaStation);
+  if (!fs.existsSync(p)) throw new Error(`Missing datum table ${path.relative(process.cwd(), p)}`);
+
+  const doc = JSON.parse(fs.readFileSync(p, "utf8"));
+  const values = datumValues(doc);
+  for (const name of REQUIRED_DATUMS) {
+    if (!Number.isFinite(values[name])) throw new Error(`Datum table ${p} has no ${name} value`);
+  }
+
+  return {
+    station: String(doc.station || noaaStation),
+    version: doc.version || datumTableVersion(doc),
+    epoch: doc.epoch || null,
+    values,
+    has: name => Number.isFinite(values[name]),
+    // ft measured above `from` -> ft above `to`
+    convert(ft, from, to) {
+      if (ft == null || !Number.isFinite(Number(ft))) return null;
+      const out = convertDatumFt(ft, from, to, values);
+      if (out === null) throw new Error(`Datum table ${noaaStation} cannot convert ${from} -> ${to}`);
+      return roundFt(out);
+    }
+  };
+}
+
+module.exports = { DATUMS_DIR, REQUIRED_DATUMS, datumsPath, datumValues, datumTableVersion, loadDatumTable };
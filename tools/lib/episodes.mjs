@@ -0,0 +1,83 @@
+/**
+ * Storm episodes: runs of flooded high tides (type Minor/Moderate/Major) that belong to one storm.
+ *
+ * Two flooded crests are in the same episode when at most maxGapTides high tides between them
+ * stayed below minor. The tides in between are counted from the time gap (one per TIDE_PERIOD_HOURS),
+ * not from the events, so a hole in the record does not split a storm.
+ *
+ * Shared like crest_events.mjs: tools/update_peaks_navd88.js counts episodes per year with it
+ * (require()), the dashboard's episode table and annual line use it too (import()).
+ */
+
+export const EPISODE_MAX_GAP_TIDES = 1;
+export const TIDE_PERIOD_HOURS = 12.42;
+const FLOOD_TYPES = ["Minor", "Moderate", "Major"];
+const HOUR_MS = 3600 * 1000;
+
+/** Non-flooded high tides expected between two flooded crests at msA < msB. */
+export function tidesBetween(msA, msB) {
+  return Math.max(0, Math.round((msB - msA) / (TIDE_PERIOD_HOURS * HOUR_MS)) - 1);
+}
+
+/**
+ * events: cache events (highs and lows, NAVD88). Returns episodes, oldest first:
+ *   { start, end, peak: { t, ft, type }, n_tides, stage, flood_hours, hours_partial, crests: [t…] }
+ * start/end are the minor up-/down-crossings of the first/last flood tide when recorded, else
+ * their crest times; flood_hours sums above.minor.hours (hours_partial when any is missing/partial).
+ * stageOf(e) gives a tide's stage (default: its stored type; the dashboard passes the thresholds
+ * in force at the time when asked to).
+ */
+export function buildEpisodes(events, { maxGapTides = EPISODE_MAX_GAP_TIDES, stageOf = e => e.type } = {}) {
+  const flooded = events
+    .filter(e => e.kind !== "CrestLow" && Number.isFinite(Number(e.ft)) && FLOOD_TYPES.includes(stageOf(e)))
+    .map(e => ({ e, ms: Date.parse(e.t) }))
+    .filter(x => Number.isFinite(x.ms))
+    .sort((a, b) => a.ms - b.ms);
+
+  const episodes = [];
+  let cur = null, lastMs = null;
+  for (const { e, ms } of flooded) {
+    if (cur && tidesBetween(lastMs, ms) <= maxGapTides) {
+      cur.push(e);
+    } else {
+      if (cur) episodes.push(cur);
+      cur = [e];
+    }
+    lastMs = ms;
+  }
+  if (cur) episodes.push(cur);
+
+  return episodes.map(tides => {
+    const first = tides[0], last = tides[tides.length - 1];
+    const peak = tides.reduce((m, e) => (Number(e.ft) > Number(m.ft) ? e : m), first);
+    let hours = 0, partial = false;
+    for (const e of tides) {
+      const run = e.above?.minor;
+      if (Number.isFinite(run?.hours)) hours += run.hours; else partial = true;
+      if (run?.partial) partial = true;
+    }
+    return {
+      start: first.above?.minor?.up || first.t,
+      end: last.above?.minor?.down || last.t,
+      peak: { t: peak.t, ft: Number(peak.ft), type: stageOf(peak) },
+      n_tides: tides.length,
+      stage: FLOOD_TYPES.reduce((s, k) => (tides.some(e => stageOf(e) === k) ? k : s), "Minor"),
+      flood_hours: Math.round(hours * 100) / 100,
+      hours_partial: partial,
+      crests: tides.map(e => e.t)
+    };
+  });
+}
+
+/** Year (UTC, of the episode start) -> { n, minor, moderate, major } by highest stage. */
+export function episodeCountsByYear(episodes) {
+  const out = new Map();
+  for (const ep of episodes) {
+    const y = new Date(ep.start).getUTCFullYear();
+    if (!out.has(y)) out.set(y, { n: 0, minor: 0, moderate: 0, major: 0 });
+    const c = out.get(y);
+    c.n++;
+    c[ep.stage.toLowerCase()]++;
+  }
+  return out;
+}
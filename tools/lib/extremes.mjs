@@ -0,0 +1,304 @@
+/**
+ * Extreme-value statistics for the peaks cache
+ *
+ * Shared like crest_events.mjs: tools/update_return_periods.js fits with it (require()), and the
+ * dashboard evaluates the fitted data/return_periods.json with gevReturnPeriod / gpdReturnPeriod (import()).
+ *
+ *  - Annual maxima of the crest-anchored highs -> GEV fitted by maximum likelihood
+ *  - Peaks over a threshold (declustered storm peaks) -> GPD + Poisson rate, the POT option
+ *  - Return levels (T-year water level) and return periods (T for a given level) for both
+ *  - Confidence intervals by a year-block bootstrap (resample whole years, refit)
+ *
+ * Shape convention: xi > 0 heavy upper tail, xi < 0 bounded tail, |xi| < XI_EPS is treated as
+ * Gumbel/exponential. With ~20 years of data the shape is poorly constrained, so the fit keeps
+ * |xi| <= XI_BOUND (the usual range for coastal water levels).
+ *
+ * Everything here is plain numbers in and out (feet in whatever datum the caller uses).
+ */
+
+const XI_EPS = 1e-6;
+export const XI_BOUND = 0.5;
+const HOURS = 3600 * 1000;
+
+// -------------------------
+// Optimizer + RNG
+// -------------------------
+
+/** Nelder–Mead simplex minimizer. Returns { x, f, iter }. */
+export function nelderMead(f, x0, { step = 0.1, maxIter = 2000, tol = 1e-9 } = {}) {
+  const n = x0.length;
+  let simplex = [x0.slice()];
+  for (let i = 0; i < n; i++) {
+    const x = x0.slice();
+    x[i] += Array.isArray(step) ? step[i] : step;
+    simplex.push(x);
+  }
+  let vals = simplex.map(f);
+
+  const combine = (a, b, t) => a.map((ai, i) => ai + t * (b[i] - ai));
+
+  let iter = 0;
+  for (; iter < maxIter; iter++) {
+    const order = vals.map((v, i) => i).sort((a, b) => vals[a] - vals[b]);
+    simplex = order.map(i => simplex[i]);
+    vals = order.map(i => vals[i]);
+    if (Math.abs(vals[n] - vals[0]) <= tol * (Math.abs(vals[0]) + tol)) break;
+
+    const centroid = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+
+    const xr = combine(centroid, simplex[n], -1);
+    const fr = f(xr);
+    if (fr < vals[0]) {
+      const xe = combine(centroid, simplex[n], -2);
+      const fe = f(xe);
+      if (fe < fr) { simplex[n] = xe; vals[n] = fe; } else { simplex[n] = xr; vals[n] = fr; }
+      continue;
+    }
+    if (fr < vals[n - 1]) { simplex[n] = xr; vals[n] = fr; continue; }
+
+    const xc = fr < vals[n] ? combine(centroid, xr, 0.5) : combine(centroid, simplex[n], 0.5);
+    const fc = f(xc);
+    if (fc < Math.min(fr, vals[n])) { simplex[n] = xc; vals[n] = fc; continue; }
+
+    // shrink toward the best point
+    for (let i = 1; i <= n; i++) {
+      simplex[i] = combine(simplex[0], simplex[i], 0.5);
+      vals[i] = f(simplex[i]);
+    }
+  }
+  return { x: simplex[0], f: vals[0], iter };
+}
+
+/** Small seeded PRNG (mulberry32) so bootstrap output is reproducible run to run. */
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+function stdev(xs) {
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((a, b) => a + (b - m) ** 2, 0) / Math.max(1, xs.length - 1));
+}
+
+function quantile(sorted, p) {
+  if (!sorted.length) return null;
+  const h = (sorted.length - 1) * p;
+  const lo = Math.floor(h), hi = Math.ceil(h);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (h - lo);
+}
+
+// -------------------------
+// Series extraction
+// -------------------------
+
+/**
+ * Annual maxima of high-tide events ({ t, ft, kind }), one per UTC year.
+ * coverage = highs recorded / expected semidiurnal highs (~706 a year); years below
+ * minCoverage are returned in `excluded` (a missing storm would bias the maxima low).
+ */
+export function annualMaxima(events, { minCoverage = 0.8, highsPerYear = 365.25 * 24 / 12.42 } = {}) {
+  const byYear = new Map();
+  for (const e of events) {
+    if (e.kind === "CrestLow" || !Number.isFinite(e.ft)) continue;
+    const y = new Date(e.t).getUTCFullYear();
+    if (!byYear.has(y)) byYear.set(y, { year: y, n: 0, max: null });
+    const rec = byYear.get(y);
+    rec.n++;
+    if (!rec.max || e.ft > rec.max.ft) rec.max = e;
+  }
+
+  const used = [], excluded = [];
+  for (const rec of [...byYear.values()].sort((a, b) => a.year - b.year)) {
+    const coverage = Math.round(rec.n / highsPerYear * 1000) / 1000;
+    if (coverage < minCoverage) { excluded.push({ year: rec.year, coverage }); continue; }
+    used.push({ year: rec.year, ft: rec.max.ft, t: rec.max.t, crest: rec.max.crest || null, coverage });
+  }
+  return { used, excluded };
+}
+
+/**
+ * Storm peaks above threshold u: exceedances closer than runHours to the previous one belong
+ * to the same cluster and only the cluster max is kept (consecutive flood tides of one storm).
+ */
+export function declusterPeaks(events, u, { runHours = 72 } = {}) {
+  const ex = events
+    .filter(e => e.kind !== "CrestLow" && Number.isFinite(e.ft) && e.ft > u)
+    .map(e => ({ ...e, ms: Date.parse(e.t) }))
+    .sort((a, b) => a.ms - b.ms);
+
+  const peaks = [];
+  let cur = null, lastMs = -Infinity;
+  for (const e of ex) {
+    if (cur && e.ms - lastMs <= runHours * HOURS) {
+      if (e.ft > cur.ft) cur = e;
+    } else {
+      if (cur) peaks.push(cur);
+      cur = e;
+    }
+    lastMs = e.ms;
+  }
+  if (cur) peaks.push(cur);
+  return peaks.map(({ ms, ...e }) => e);
+}
+
+// -------------------------
+// GEV (annual maxima)
+// -------------------------
+function gevNll([mu, logSigma, xi], xs) {
+  if (Math.abs(xi) > XI_BOUND) return Infinity;
+  const sigma = Math.exp(logSigma);
+  let s = xs.length * logSigma;
+  for (const x of xs) {
+    const z = (x - mu) / sigma;
+    if (Math.abs(xi) < XI_EPS) {
+      s += z + Math.exp(-z);
+    } else {
+      const t = 1 + xi * z;
+      if (t <= 0) return Infinity;
+      s += (1 + 1 / xi) * Math.log(t) + Math.pow(t, -1 / xi);
+    }
+  }
+  return s;
+}
+
+/** Maximum-likelihood GEV fit. Returns { mu, sigma, xi, nll, n } or null (< 3 values). */
+export function fitGEV(xs) {
+  if (xs.length < 3) return null;
+  // Gumbel method-of-moments start, tried with a few shapes
+  const sigma0 = Math.max(1e-3, stdev(xs) * Math.sqrt(6) / Math.PI);
+  const mu0 = mean(xs) - 0.5772 * sigma0;
+
+  let best = null;
+  for (const xi0 of [-0.1, 0.01, 0.1]) {
+    const r = nelderMead(p => gevNll(p, xs), [mu0, Math.log(sigma0), xi0], { step: [sigma0 * 0.5, 0.2, 0.05] });
+    if (Number.isFinite(r.f) && (!best || r.f < best.f)) best = r;
+  }
+  if (!best) return null;
+  const [mu, logSigma, xi] = best.x;
+  return { mu, sigma: Math.exp(logSigma), xi, nll: best.f, n: xs.length };
+}
+
+/** Level exceeded on average once every T years (T > 1). */
+export function gevReturnLevel(p, T) {
+  const y = -Math.log(1 - 1 / T);
+  if (Math.abs(p.xi) < XI_EPS) return p.mu - p.sigma * Math.log(y);
+  return p.mu - (p.sigma / p.xi) * (1 - Math.pow(y, -p.xi));
+}
+
+/** Return period (years) of an annual maximum reaching x: 1 / (1 - F(x)). */
+export function gevReturnPeriod(p, x) {
+  const z = (x - p.mu) / p.sigma;
+  let F;
+  if (Math.abs(p.xi) < XI_EPS) {
+    F = Math.exp(-Math.exp(-z));
+  } else {
+    const t = 1 + p.xi * z;
+    if (t <= 0) return p.xi > 0 ? 1 : Infinity; // below the lower / above the upper bound
+    F = Math.exp(-Math.pow(t, -1 / p.xi));
+  }
+  return F >= 1 ? Infinity : 1 / (1 - F);
+}
+
+// -------------------------
+// GPD (peaks over threshold)
+// -------------------------
+function gpdNll([logSigma, xi], ys) {
+  if (Math.abs(xi) > XI_BOUND) return Infinity;
+  const sigma = Math.exp(logSigma);
+  let s = ys.length * logSigma;
+  for (const y of ys) {
+    if (Math.abs(xi) < XI_EPS) {
+      s += y / sigma;
+    } else {
+      const t = 1 + xi * y / sigma;
+      if (t <= 0) return Infinity;
+      s += (1 + 1 / xi) * Math.log(t);
+    }
+  }
+  return s;
+}
+
+/**
+ * GPD fit to the excesses of storm peaks over u, with the Poisson rate of peaks per year.
+ * Returns { u, sigma, xi, rate, nExceed, nll } or null (< 5 peaks).
+ */
+export function fitGPD(peakValues, u, years) {
+  const ys = peakValues.map(x => x - u).filter(y => y > 0);
+  if (ys.length < 5 || !(years > 0)) return null;
+  const sigma0 = Math.max(1e-3, mean(ys));
+
+  let best = null;
+  for (const xi0 of [-0.1, 0.01, 0.1]) {
+    const r = nelderMead(p => gpdNll(p, ys), [Math.log(sigma0), xi0], { step: [0.2, 0.05] });
+    if (Number.isFinite(r.f) && (!best || r.f < best.f)) best = r;
+  }
+  if (!best) return null;
+  const [logSigma, xi] = best.x;
+  return { u, sigma: Math.exp(logSigma), xi, rate: ys.length / years, nExceed: ys.length, nll: best.f };
+}
+
+/** Level reached on average once every T years (needs rate * T > 1, i.e. above u). */
+export function gpdReturnLevel(p, T) {
+  const m = p.rate * T;
+  if (m <= 1) return p.u;
+  if (Math.abs(p.xi) < XI_EPS) return p.u + p.sigma * Math.log(m);
+  return p.u + (p.sigma / p.xi) * (Math.pow(m, p.xi) - 1);
+}
+
+/** Mean recurrence interval (years) of a storm peak reaching x; null below the threshold. */
+export function gpdReturnPeriod(p, x) {
+  if (x < p.u) return null;
+  const y = x - p.u;
+  let surv;
+  if (Math.abs(p.xi) < XI_EPS) {
+    surv = Math.exp(-y / p.sigma);
+  } else {
+    const t = 1 + p.xi * y / p.sigma;
+    surv = t <= 0 ? 0 : Math.pow(t, -1 / p.xi);
+  }
+  return surv <= 0 ? Infinity : 1 / (p.rate * surv);
+}
+
+// -------------------------
+// Bootstrap
+// -------------------------
+
+/**
+ * Year-block bootstrap: resample whole years with replacement, refit, and take the
+ * (1-level)/2 and (1+level)/2 quantiles of each return level.
+ *   fitYears(sampleOfYears) -> fitted params or null; levelOf(params, T) -> level
+ */
+export function bootstrapLevels(years, fitYears, levelOf, periods, { B = 1000, level = 0.95, seed = 12150 } = {}) {
+  const rnd = seededRandom(seed);
+  const draws = periods.map(() => []);
+  let ok = 0;
+  for (let b = 0; b < B; b++) {
+    const sample = years.map(() => years[Math.floor(rnd() * years.length)]);
+    const p = fitYears(sample);
+    if (!p) continue;
+    ok++;
+    periods.forEach((T, i) => {
+      const v = levelOf(p, T);
+      if (Number.isFinite(v)) draws[i].push(v);
+    });
+  }
+  const lo = (1 - level) / 2, hi = (1 + level) / 2;
+  return {
+    B, ok, level,
+    intervals: draws.map(d => {
+      d.sort((a, b) => a - b);
+      return { lo: quantile(d, lo), hi: quantile(d, hi) };
+    })
+  };
+}
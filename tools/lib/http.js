@@ -0,0 +1,217 @@
+/**
+ * HTTP client for the tools' data sources (USGS, NOAA CO-OPS, NOMADS, NWPS)
+ *
+ *  - getJSON(url, opts) / getText(url, opts): GET with a timeout, retried with exponential backoff
+ *    (plus jitter; Retry-After wins) on network errors, timeouts, 408, 429 and 5xx. Other statuses
+ *    throw at once: Error("<label> failed: <status> <statusText>") with err.status set.
+ *  - download(url, outPath, opts): same, body written to outPath (binary)
+ *  - Per-host politeness: requests to one host are spaced at least HOST_MIN_INTERVAL_MS apart.
+ *
+ *  opts: { headers, label, timeoutMs, attempts }
+ *
+ * Record/replay (any tool, via the environment):
+ *   HTTP_RECORD=<dir>  every response (status, headers, body) is also saved under <dir>
+ *   HTTP_REPLAY=<dir>  responses come from <dir> only; nothing goes to the network and a request
+ *                      without a recording fails
+ * <dir>/index.json lists the recordings in order ({ url, key, status, statusText, contentType,
+ * file }); bodies are <dir>/<host>/<n>.body. Replay serves the recording with the same URL, else
+ * the next unused one with the same key — the URL without its time-range parameters (startDT,
+ * endDT, begin_date, end_date), which follow the clock. Replay also runs the clock from the
+ * recording's start (index.json started_utc) so ranges derived from "now" line up.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const USER_AGENT = "bivalve-tides-tools/1.0";
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_ATTEMPTS = 4;           // first try + 3 retries
+const BACKOFF_BASE_MS = 2000;         // 2s, 4s, 8s (+ up to 50% jitter)
+const BACKOFF_MAX_MS = 60 * 1000;
+const HOST_MIN_INTERVAL_MS = {
+  "waterservices.usgs.gov": 500,
+  "api.tidesandcurrents.noaa.gov": 250,
+  "nomads.ncep.noaa.gov": 1000
+};
+const DEFAULT_MIN_INTERVAL_MS = 250;
+const CLOCK_PARAMS = ["startDT", "endDT", "begin_date", "end_date"];
+
+const RECORD_DIR = process.env.HTTP_RECORD || null;
+const REPLAY_DIR = process.env.HTTP_REPLAY || null;
+if (RECORD_DIR && REPLAY_DIR) throw new Error("Set HTTP_RECORD or HTTP_REPLAY, not both.");
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// -------------------------
+// Record/replay
+// -------------------------
+function recordingKey(url) {
+  const u = new URL(url);
+  for (const p of CLOCK_PARAMS) u.searchParams.delete(p);
+  u.searchParams.sort();
+  return u.toString();
+}
+
+function indexPath(dir) {
+  return path.join(dir, "index.json");
+}
+
+function loadIndex(dir) {
+  const p = indexPath(dir);
+  if (!fs.existsSync(p)) return null;
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+let recordIndex = null;
+function record(url, res, body) {
+  if (!recordIndex) recordIndex = loadIndex(RECORD_DIR) || { started_utc: new Date().toISOString(), recordings: [] };
+  const host = new URL(url).host;
+  const file = `${host}/${String(recordIndex.recordings.length).padStart(5, "0")}.body`;
+  fs.mkdirSync(path.join(RECORD_DIR, host), { recursive: true });
+  fs.writeFileSync(path.join(RECORD_DIR, file), body);
+  recordIndex.recordings.push({
+    url,
+    key: recordingKey(url),
+    status: res.status,
+    statusText: res.statusText,
+    contentType: res.contentType,
+    file
+  });
+  fs.writeFileSync(indexPath(RECORD_DIR), JSON.stringify(recordIndex, null, 2) + "\n", "utf8");
+}
+
+let replayIndex = null;
+const replayUsed = new Set();
+function replay(url) {
+  const hit = (rec, i) => {
+    replayUsed.add(i);
+    const body = fs.readFileSync(path.join(REPLAY_DIR, rec.file));
+    return { status: rec.status, statusText: rec.statusText || "", contentType: rec.contentType || null, body };
+  };
+  const recs = replayIndex.recordings;
+  let i = recs.findIndex((r, j) => !replayUsed.has(j) && r.url === url);
+  if (i < 0) i = recs.findIndex(r => r.url === url);
+  if (i < 0) i = recs.findIndex((r, j) => !replayUsed.has(j) && r.key === recordingKey(url));
+  if (i < 0) throw new Error(`No recorded response for ${url} in ${REPLAY_DIR}`);
+  return hit(recs[i], i);
+}
+
+// The tools take "now" from Date; replay pins it to the recording's start
+function pinClock(ms) {
+  const RealDate = Date;
+  const offset = ms - RealDate.now();
+  global.Date = class extends RealDate {
+    constructor(...a) {
+      if (a.length) super(...a);
+      else super(RealDate.now() + offset);
+    }
+    static now() {
+      return RealDate.now() + offset;
+    }
+  };
+}
+
+if (REPLAY_DIR) {
+  replayIndex = loadIndex(REPLAY_DIR);
+  if (!replayIndex) throw new Error(`HTTP_REPLAY: no ${indexPath(REPLAY_DIR)}`);
+  pinClock(new Date(replayIndex.started_utc).getTime());
+}
+
+// -------------------------
+// Politeness + retries
+// -------------------------
+const hostNextMs = new Map();
+
+async function politeWait(host) {
+  const gap = HOST_MIN_INTERVAL_MS[host] ?? DEFAULT_MIN_INTERVAL_MS;
+  const now = Date.now();
+  const at = Math.max(now, hostNextMs.get(host) || 0);
+  hostNextMs.set(host, at + gap);
+  if (at > now) await sleep(at - now);
+}
+
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function backoffMs(attempt, retryAfter) {
+  const s = Number(retryAfter);
+  if (Number.isFinite(s) && s >= 0) return Math.min(s * 1000, BACKOFF_MAX_MS);
+  const base = Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return base + Math.floor(Math.random() * base / 2);
+}
+
+async function fetchOnce(url, { headers, timeoutMs }) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { headers: { "User-Agent": USER_AGENT, ...headers }, signal: ctrl.signal });
+    const body = Buffer.from(await res.arrayBuffer());
+    return {
+      status: res.status,
+      statusText: res.statusText,
+      contentType: res.headers.get("content-type"),
+      retryAfter: res.headers.get("retry-after"),
+      body
+    };
+  } catch (err) {
+    if (ctrl.signal.aborted) throw new Error(`timed out after ${Math.round(timeoutMs / 1000)}s`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// -> { status, statusText, contentType, body (Buffer) }; throws on a final network error or non-2xx
+async function request(url, { headers = {}, label = null, timeoutMs = DEFAULT_TIMEOUT_MS, attempts = DEFAULT_ATTEMPTS } = {}) {
+  const host = new URL(url).host;
+  const name = label || host;
+
+  let res = null;
+  if (REPLAY_DIR) {
+    res = replay(url);
+  } else {
+    for (let attempt = 1; ; attempt++) {
+      await politeWait(host);
+      let err = null;
+      try {
+        res = await fetchOnce(url, { headers, timeoutMs });
+      } catch (e) {
+        err = e;
+      }
+      const retry = err || isRetryable(res.status);
+      if (!retry || attempt >= attempts) {
+        if (err) throw new Error(`${name} failed after ${attempt} attempt(s): ${err.message || err} (${url})`);
+        break;
+      }
+      const wait = backoffMs(attempt, res?.retryAfter);
+      console.log(`WARN: ${name} ${err ? err.message || err : `HTTP ${res.status}`}; retry ${attempt}/${attempts - 1} in ${Math.round(wait / 1000)}s`);
+      await sleep(wait);
+    }
+    if (RECORD_DIR) record(url, res, res.body);
+  }
+
+  if (res.status < 200 || res.status >= 300) {
+    const e = new Error(`${name} failed: ${res.status} ${res.statusText || ""}`.trim());
+    e.status = res.status;
+    e.url = url;
+    throw e;
+  }
+  return res;
+}
+
+async function getText(url, opts) {
+  return (await request(url, opts)).body.toString("utf8");
+}
+
+async function getJSON(url, opts) {
+  return JSON.parse(await getText(url, opts));
+}
+
+async function download(url, outPath, opts) {
+  const { body } = await request(url, { timeoutMs: 5 * DEFAULT_TIMEOUT_MS, ...opts });
+  fs.writeFileSync(outPath, body);
+  return body.length;
+}
+
+module.exports = { getJSON, getText, download, request, recordingKey };
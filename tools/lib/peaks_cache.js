@@ -0,0 +1,55 @@
+/**
+ * Read-only access to a station's sharded peaks cache (<output>/manifest.json + <year>.json),
+ * as written by tools/update_peaks_navd88.js. Tools that only consume events use this instead
+ * of parsing the shards themselves; the updater keeps its own load/save (it also migrates the
+ * legacy single-file cache) but takes SHARD_VERSION and MANIFEST_FILE from here.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Shard layout version, written by the updater and checked here (bump if manifest/shard structure changes)
+const SHARD_VERSION = 1;
+const MANIFEST_FILE = "manifest.json";
+
+function readJSON(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+/** Manifest of the cache directory; throws if missing or of another shard version. */
+function readManifest(dir) {
+  const p = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(p)) throw new Error(`Missing peaks manifest: ${p}`);
+  const manifest = readJSON(p);
+  if (manifest.shardVersion !== SHARD_VERSION) throw new Error(`Unsupported shardVersion ${manifest.shardVersion} in ${p}`);
+  return manifest;
+}
+
+/** Years present in the manifest, ascending. */
+function manifestYears(manifest) {
+  return Object.keys(manifest.years || {}).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Events (highs and lows, NAVD88) of the cache, optionally only the given years.
+ * Returns { manifest, events } with events in shard order.
+ */
+function readPeaksEvents(dir, { years = null } = {}) {
+  const manifest = readManifest(dir);
+  const want = years ? new Set(years.map(Number)) : null;
+  const events = [];
+  for (const y of manifestYears(manifest)) {
+    if (want && !want.has(y)) continue;
+    const shard = readJSON(path.join(dir, manifest.years[y].file));
+    events.push(...(shard.events || []));
+  }
+  return { manifest, events };
+}
+
+module.exports = {
+  SHARD_VERSION,
+  MANIFEST_FILE,
+  readManifest,
+  manifestYears,
+  readPeaksEvents
+};
@@ -0,0 +1,239 @@
+/**
+ * Checks and repairs for a station's sharded peaks cache (used by tools/maintain_peaks_cache.js;
+ * reclassifyEvents also by tools/update_peaks_navd88.js when the registry thresholds change)
+ *
+ *  - validateShards({ manifest, shards, method }): [{ where, msg }] problems, none for a sound cache
+ *  - historyIssues(history, thresholdsNAVD88): problems with a thresholdsHistoryNAVD88
+ *  - reclassifyEvents(events, thresholdsNAVD88, oldThresholdsNAVD88): new flood types from the
+ *    stored heights, without refetching
+ *  - replaceRange(events, built, startMs, endMs): the events with the range's crests swapped for
+ *    a rebuild
+ *  - diffEvents(before, after): { added, changed, removed } keyed by crest
+ */
+
+const { CREST_WINDOW_HOURS, classifyNAVD } = require("./crest_events.mjs");
+
+const KINDS = ["CrestHigh", "CrestLow"];
+const TYPES = ["Below", "Minor", "Moderate", "Major"];
+const LEVELS = [
+  ["minor", "minorLow"],
+  ["moderate", "moderateLow"],
+  ["major", "majorLow"]
+];
+const NUMERIC_FIELDS = ["pred", "resid", "rangeFt", "nObs", "maxGapMin"];
+
+// Recomputed on every save (tools/update_peaks_navd88.js annotateTideContext), so not a difference
+const DIFF_IGNORE = ["astro", "resid"];
+
+// Stored times are Date#toISOString() output
+function isISO(s) {
+  if (typeof s !== "string") return false;
+  const ms = Date.parse(s);
+  return Number.isFinite(ms) && new Date(ms).toISOString() === s;
+}
+
+function crestMs(e) {
+  return Date.parse(e?.crest);
+}
+
+// -------------------------
+// Validation
+// -------------------------
+function eventIssues(e, T) {
+  const out = [];
+  if (!e || typeof e !== "object") return ["not an object"];
+
+  for (const k of ["t", "crest"]) if (!isISO(e[k])) out.push(`${k} is not an ISO time (${JSON.stringify(e[k])})`);
+  if (!KINDS.includes(e.kind)) out.push(`kind ${JSON.stringify(e.kind)} is not ${KINDS.join("/")}`);
+  if (!Number.isFinite(e.ft)) out.push(`ft ${JSON.stringify(e.ft)} is not a number`);
+  for (const k of NUMERIC_FIELDS) if (k in e && !Number.isFinite(e[k])) out.push(`${k} ${JSON.stringify(e[k])} is not a number`);
+
+  if (isISO(e.t) && isISO(e.crest) && Math.abs(Date.parse(e.t) - Date.parse(e.crest)) > CREST_WINDOW_HOURS * 3600 * 1000) {
+    out.push(`t is more than ${CREST_WINDOW_HOURS}h from the crest`);
+  }
+
+  if (e.kind === "CrestLow") {
+    if ("type" in e) out.push("low has a flood type");
+    if ("above" in e) out.push("low has time above thresholds");
+    return out;
+  }
+
+  if (!TYPES.includes(e.type)) out.push(`type ${JSON.stringify(e.type)} is not ${TYPES.join("/")}`);
+  else if (T && Number.isFinite(e.ft) && classifyNAVD(e.ft, T) !== e.type) {
+    out.push(`type ${e.type} but ${e.ft} ft is ${classifyNAVD(e.ft, T)} under thresholdsNAVD88`);
+  }
+
+  for (const [name, key] of LEVELS) {
+    const a = e.above?.[name];
+    if (!a) continue;
+    if (T && Number.isFinite(e.ft) && e.ft < T[key]) out.push(`above.${name} but ${e.ft} ft is under ${key}`);
+    if (!isISO(a.up) || !isISO(a.down) || !Number.isFinite(a.hours)) out.push(`above.${name} needs ISO up/down and hours`);
+  }
+  return out;
+}
+
+/**
+ * history: [{ from, minorLow, moderateLow, majorLow }], from a "YYYY-MM-DD" day or null (the earliest
+ * set only); ascending dates, each set ascending, the last equal to today's thresholds T.
+ */
+function historyIssues(history, T) {
+  if (!Array.isArray(history) || !history.length) return ["thresholdsHistoryNAVD88 is not a non-empty list"];
+  const out = [];
+  let prev = null;
+  history.forEach((h, i) => {
+    const where = `thresholdsHistoryNAVD88[${i}]`;
+    if (h?.from === null) {
+      if (i > 0) out.push(`${where}: only the first set may have from null`);
+    } else if (!/^\d{4}-\d{2}-\d{2}$/.test(h?.from) || !isISO(`${h.from}T00:00:00.000Z`)) {
+      out.push(`${where}: from ${JSON.stringify(h?.from)} is not a YYYY-MM-DD day`);
+    } else {
+      if (prev && h.from <= prev) out.push(`${where}: from ${h.from} is not after ${prev}`);
+      prev = h.from;
+    }
+    if (!LEVELS.every(([, key]) => Number.isFinite(h?.[key]))) out.push(`${where}: needs numeric minorLow/moderateLow/majorLow`);
+    else if (!(h.minorLow < h.moderateLow && h.moderateLow < h.majorLow)) out.push(`${where}: thresholds are not ascending`);
+  });
+  const last = history[history.length - 1];
+  if (T && !LEVELS.every(([, key]) => last?.[key] === T[key])) out.push("the last thresholdsHistoryNAVD88 set is not thresholdsNAVD88");
+  return out;
+}
+
+/**
+ * manifest: the parsed manifest.json; shards: [{ file, year, method, events }] as read from disk.
+ * method: the method the tools build (a different manifest method needs a migration).
+ */
+function validateShards({ manifest, shards, method }) {
+  const issues = [];
+  const add = (where, msg) => issues.push({ where, msg });
+  const T = manifest.thresholdsNAVD88;
+
+  if (manifest.method !== method) add("manifest", `method ${manifest.method || "(none)"} is not ${method}; run --migrate`);
+  const haveT = !!T && LEVELS.every(([, key]) => Number.isFinite(T[key]));
+  if (!haveT) add("manifest", "thresholdsNAVD88 needs numeric minorLow/moderateLow/majorLow");
+  else if (!(T.minorLow < T.moderateLow && T.moderateLow < T.majorLow)) add("manifest", "thresholdsNAVD88 are not ascending");
+  if (manifest.lastProcessedISO != null && !isISO(manifest.lastProcessedISO)) add("manifest", "lastProcessedISO is not an ISO time");
+  if (manifest.thresholdsHistoryNAVD88 != null) {
+    for (const msg of historyIssues(manifest.thresholdsHistoryNAVD88, haveT ? T : null)) add("manifest", msg);
+  }
+
+  const crests = new Map();
+
+  for (const shard of shards) {
+    const entry = manifest.years?.[shard.year];
+    if (shard.method !== manifest.method) add(shard.file, `method ${shard.method} differs from the manifest's ${manifest.method}`);
+    if (entry && entry.count !== shard.events.length) add(shard.file, `manifest count ${entry.count} but ${shard.events.length} events`);
+
+    let prevMs = -Infinity;
+    shard.events.forEach((e, i) => {
+      const where = `${shard.file} #${i} (${e?.crest || e?.t})`;
+      for (const msg of eventIssues(e, haveT ? T : null)) add(where, msg);
+
+      const ms = Date.parse(e?.t);
+      if (Number.isFinite(ms)) {
+        if (new Date(ms).getUTCFullYear() !== Number(shard.year)) add(where, `event of ${new Date(ms).getUTCFullYear()} in the ${shard.year} shard`);
+        if (ms < prevMs) add(where, "out of time order");
+        prevMs = ms;
+      }
+
+      // One event per crest (mergeByCrest keys on it)
+      if (e?.crest) {
+        if (crests.has(e.crest)) add(where, `second event for crest ${e.crest} (first in ${crests.get(e.crest)})`);
+        else crests.set(e.crest, shard.file);
+      }
+    });
+  }
+  return issues;
+}
+
+// -------------------------
+// Reclassification (stored heights against new thresholds)
+// -------------------------
+/**
+ * Sets each high's type from its ft under T and drops time-above entries that no longer hold: levels
+ * the high no longer reaches and, given oldT, every level whose threshold changed (its crossing
+ * times moved; unknown without the series). Returns { retyped, durationsDropped, needDurations },
+ * needDurations being the highs now at a flood level without a duration for it — rebuild their
+ * range to recompute.
+ */
+function reclassifyEvents(events, T, oldT = null) {
+  let retyped = 0;
+  let durationsDropped = 0;
+  const needDurations = [];
+
+  for (const e of events) {
+    if (e.kind === "CrestLow" || !Number.isFinite(e.ft)) continue;
+
+    const type = classifyNAVD(e.ft, T);
+    if (type !== e.type) {
+      e.type = type;
+      retyped++;
+    }
+
+    let missing = false;
+    for (const [name, key] of LEVELS) {
+      const reached = e.ft >= T[key];
+      if (e.above?.[name] && (!reached || (oldT && oldT[key] !== T[key]))) {
+        delete e.above[name];
+        durationsDropped++;
+      }
+      if (reached && !e.above?.[name]) missing = true;
+    }
+    if (e.above && !Object.keys(e.above).length) delete e.above;
+    if (missing) needDurations.push(e);
+  }
+  return { retyped, durationsDropped, needDurations };
+}
+
+// -------------------------
+// Range rebuild
+// -------------------------
+/**
+ * events minus those with a crest in [startMs, endMs), plus built (already limited to the range).
+ * Wind/pressure (met) does not depend on the water level, so a rebuilt event keeps its old one.
+ */
+function replaceRange(events, built, startMs, endMs) {
+  const inRange = e => crestMs(e) >= startMs && crestMs(e) < endMs;
+  const old = new Map(events.filter(inRange).map(e => [e.crest, e]));
+
+  const kept = events.filter(e => !inRange(e));
+  const rebuilt = built.map(e => {
+    const prev = old.get(e.crest);
+    return prev?.met && !e.met ? { ...e, met: prev.met } : e;
+  });
+  return [...kept, ...rebuilt].sort((a, b) => Date.parse(a.t) - Date.parse(b.t));
+}
+
+// -------------------------
+// Diff
+// -------------------------
+function comparable(e) {
+  const out = {};
+  for (const k of Object.keys(e).sort()) if (!DIFF_IGNORE.includes(k)) out[k] = e[k];
+  return JSON.stringify(out);
+}
+
+/**
+ * before/after: event lists (e.g. a range before and after a rebuild). Returns
+ * { added: [e], removed: [e], changed: [{ before, after, fields }] } in crest order.
+ */
+function diffEvents(before, after) {
+  const a = new Map(before.map(e => [e.crest, e]));
+  const b = new Map(after.map(e => [e.crest, e]));
+  const byCrest = (x, y) => crestMs(x) - crestMs(y);
+
+  const added = after.filter(e => !a.has(e.crest)).sort(byCrest);
+  const removed = before.filter(e => !b.has(e.crest)).sort(byCrest);
+  const changed = [];
+  for (const e of before) {
+    const n = b.get(e.crest);
+    if (!n || comparable(e) === comparable(n)) continue;
+    const fields = [...new Set([...Object.keys(e), ...Object.keys(n)])]
+      .filter(k => !DIFF_IGNORE.includes(k) && JSON.stringify(e[k]) !== JSON.stringify(n[k]))
+      .sort();
+    changed.push({ before: e, after: n, fields });
+  }
+  changed.sort((x, y) => byCrest(x.before, y.before));
+  return { added, removed, changed };
+}
+
+module.exports = { isISO, historyIssues, validateShards, reclassifyEvents, replaceRange, diffEvents };
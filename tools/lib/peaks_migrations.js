@@ -0,0 +1,61 @@
+/**
+ * Method versions of the peaks cache and the migrations between them
+ *
+ * A cache records the method that built its events (manifest and shards: "method"). When the
+ * detection changes in a way that alters stored events, bump METHOD and add a step to MIGRATIONS
+ * that carries the old events forward (rename or recompute fields, drop what can no longer be
+ * trusted). tools/update_peaks_navd88.js applies the steps before any update; a cache whose method
+ * has no path to METHOD is left untouched and the run fails, pointing at
+ * tools/maintain_peaks_cache.js (--migrate previews the steps; --migrate --discard starts over).
+ *
+ * Step: { from, to, note, migrate(events, cache) -> events }
+ *   migrate may edit the events in place or return new ones; it gets the whole cache (thresholds,
+ *   datumTable) but only events and method are replaced. Events of a range that needs the USGS
+ *   series again can be rebuilt afterwards with tools/maintain_peaks_cache.js --rebuild-from/--rebuild-to.
+ */
+
+const METHOD = "crest_anchored_highs_v1";
+
+const MIGRATIONS = [];
+
+// Steps from `from` to `to`, in order; [] when already there, null when there is no path
+function migrationPath(from, to = METHOD, migrations = MIGRATIONS) {
+  const steps = [];
+  const seen = new Set();
+  let cur = from;
+  while (cur !== to) {
+    if (seen.has(cur)) return null;
+    seen.add(cur);
+    const step = migrations.find(m => m.from === cur);
+    if (!step) return null;
+    steps.push(step);
+    cur = step.to;
+  }
+  return steps;
+}
+
+/**
+ * Brings cache.events to method `to` (in place). Returns the steps applied; each is also appended to
+ * cache.migrations as { from, to, atISO } so the manifest shows how its events got there.
+ * Throws when no path exists (the cache is not modified).
+ */
+function migrateCache(cache, { to = METHOD, migrations = MIGRATIONS, atISO = new Date().toISOString() } = {}) {
+  const from = cache.method || null;
+  const steps = migrationPath(from, to, migrations);
+  if (!steps) {
+    throw new Error(
+      `No migration from method ${from || "(none)"} to ${to}. Add one to tools/lib/peaks_migrations.js, ` +
+      "or start over with tools/maintain_peaks_cache.js --migrate --discard and a backfill."
+    );
+  }
+
+  for (const step of steps) {
+    const events = step.migrate(cache.events || [], cache);
+    cache.events = Array.isArray(events) ? events : cache.events;
+    cache.method = step.to;
+    cache.migrations = [...(cache.migrations || []), { from: step.from, to: step.to, atISO }];
+  }
+  return steps;
+}
+
+module.exports = { METHOD, MIGRATIONS, migrationPath, migrateCache };
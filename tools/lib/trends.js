@@ -0,0 +1,224 @@
+/**
+ * Long-term trend statistics (tools/update_trends.js)
+ *
+ *  - linearTrend: ordinary least squares y = a + b·x with the slope's standard error,
+ *    Student-t confidence interval and two-sided p-value
+ *  - countTrend: log-linear trend of yearly counts, log(mu) = log(exposure) + a + b·x, fitted as
+ *    a Poisson GLM; if the counts are overdispersed (Pearson dispersion > NB_DISPERSION) the
+ *    negative binomial (NB2, theta by maximum likelihood) is used instead
+ *
+ * x is the calendar year; slopes are reported per decade by the caller.
+ */
+
+const NB_DISPERSION = 1.5;
+
+// -------------------------
+// Special functions
+// -------------------------
+function lgamma(x) {
+  // Lanczos approximation (g = 7)
+  const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lgamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Continued fraction for the regularized incomplete beta (Numerical Recipes betacf)
+function betacf(a, b, x) {
+  const EPS = 3e-14, FPMIN = 1e-300;
+  let c = 1, d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a - 1 + m2) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d; h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + 1 + m2));
+    d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+function incompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const bt = Math.exp(lgamma(a + b) - lgamma(a) - lgamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2) ? bt * betacf(a, b, x) / a : 1 - bt * betacf(b, a, 1 - x) / b;
+}
+
+/** Two-sided p-value of a t statistic with df degrees of freedom. */
+function tTwoSidedP(t, df) {
+  return incompleteBeta(df / 2, 0.5, df / (df + t * t));
+}
+
+/** t quantile for a two-sided interval of the given level (e.g. 0.95), by bisection. */
+function tCritical(level, df) {
+  const target = 1 - level;
+  let lo = 0, hi = 1000;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (tTwoSidedP(mid, df) > target) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/** Two-sided p-value of a standard normal statistic (erfc, Numerical Recipes erfcc). */
+function zTwoSidedP(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return erfc;
+}
+
+// -------------------------
+// Linear trend
+// -------------------------
+
+/** OLS of ys on xs. Returns { slope, intercept, se, ci: [lo, hi], p, r2, n } or null (< 3 points). */
+function linearTrend(xs, ys, { level = 0.95 } = {}) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0, sxy = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - mx) ** 2;
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    syy += (ys[i] - my) ** 2;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = my - slope * mx;
+  const sse = Math.max(0, syy - slope * sxy);
+  const df = n - 2;
+  const se = Math.sqrt(sse / df / sxx);
+  const tc = tCritical(level, df);
+  return {
+    slope,
+    intercept,
+    se,
+    ci: [slope - tc * se, slope + tc * se],
+    p: se > 0 ? tTwoSidedP(slope / se, df) : 0,
+    r2: syy > 0 ? 1 - sse / syy : 1,
+    n
+  };
+}
+
+// -------------------------
+// Count trend (Poisson / negative binomial GLM)
+// -------------------------
+
+// IRLS for log link with offset; variance mu (theta = Infinity) or mu + mu^2/theta
+function irls(xs, ys, offs, theta) {
+  const n = xs.length;
+  let a = Math.log(Math.max(1e-3, ys.reduce((s, y) => s + y, 0) / offs.reduce((s, o) => s + Math.exp(o), 0)));
+  let b = 0;
+  let info = null;
+  for (let it = 0; it < 100; it++) {
+    let s00 = 0, s01 = 0, s11 = 0, r0 = 0, r1 = 0;
+    for (let i = 0; i < n; i++) {
+      const eta = offs[i] + a + b * xs[i];
+      const mu = Math.exp(eta);
+      const w = Number.isFinite(theta) ? mu / (1 + mu / theta) : mu;
+      const z = a + b * xs[i] + (ys[i] - mu) / mu;
+      s00 += w; s01 += w * xs[i]; s11 += w * xs[i] * xs[i];
+      r0 += w * z; r1 += w * z * xs[i];
+    }
+    const det = s00 * s11 - s01 * s01;
+    if (!(det > 0)) return null;
+    const na = (s11 * r0 - s01 * r1) / det;
+    const nb = (s00 * r1 - s01 * r0) / det;
+    const done = Math.abs(na - a) < 1e-10 && Math.abs(nb - b) < 1e-10;
+    a = na; b = nb;
+    info = { s00, s11, det };
+    if (done) break;
+  }
+  return { a, b, seB: Math.sqrt(info.s00 / info.det) };
+}
+
+function nbLogLik(xs, ys, offs, a, b, theta) {
+  let ll = 0;
+  for (let i = 0; i < xs.length; i++) {
+    const mu = Math.exp(offs[i] + a + b * xs[i]);
+    const y = ys[i];
+    ll += lgamma(y + theta) - lgamma(theta) - lgamma(y + 1) + theta * Math.log(theta / (theta + mu)) + y * Math.log(mu / (theta + mu) || 1);
+  }
+  return ll;
+}
+
+/**
+ * Trend of yearly counts. xs years, ys counts, exposure the share of each year observed (1 = full).
+ * Returns { model, slope, se, ci: [lo, hi], p, dispersion, theta, fitted(x) } — slope is per unit x
+ * on the log scale (rate ratio per year = exp(slope)) — or null when there is nothing to fit.
+ */
+function countTrend(xs, ys, exposure, { level = 0.95 } = {}) {
+  const n = xs.length;
+  if (n < 3 || ys.reduce((s, y) => s + y, 0) === 0) return null;
+  const mx = xs.reduce((s, x) => s + x, 0) / n;
+  const xc = xs.map(x => x - mx); // centered for a stable fit
+  const offs = exposure.map(e => Math.log(e));
+
+  const pois = irls(xc, ys, offs, Infinity);
+  if (!pois) return null;
+
+  let pearson = 0;
+  for (let i = 0; i < n; i++) {
+    const mu = Math.exp(offs[i] + pois.a + pois.b * xc[i]);
+    pearson += (ys[i] - mu) ** 2 / mu;
+  }
+  const dispersion = pearson / (n - 2);
+
+  let fit = pois, model = "poisson", theta = null;
+  if (dispersion > NB_DISPERSION) {
+    // golden-section search of the profile likelihood over log(theta)
+    const prof = lt => {
+      const f = irls(xc, ys, offs, Math.exp(lt));
+      return f ? { f, ll: nbLogLik(xc, ys, offs, f.a, f.b, Math.exp(lt)) } : { f: null, ll: -Infinity };
+    };
+    let lo = Math.log(0.05), hi = Math.log(1000);
+    const g = (Math.sqrt(5) - 1) / 2;
+    let c = hi - g * (hi - lo), d = lo + g * (hi - lo);
+    let pc = prof(c), pd = prof(d);
+    for (let i = 0; i < 80; i++) {
+      if (pc.ll > pd.ll) { hi = d; d = c; pd = pc; c = hi - g * (hi - lo); pc = prof(c); }
+      else { lo = c; c = d; pc = pd; d = lo + g * (hi - lo); pd = prof(d); }
+    }
+    const best = pc.ll > pd.ll ? { ...pc, lt: c } : { ...pd, lt: d };
+    if (best.f) { fit = best.f; model = "negbin"; theta = Math.exp(best.lt); }
+  }
+
+  const zc = level === 0.95 ? 1.959964 : tCritical(level, 1e6);
+  const { a, b, seB } = fit;
+  return {
+    model,
+    slope: b,
+    se: seB,
+    ci: [b - zc * seB, b + zc * seB],
+    p: zTwoSidedP(b / seB),
+    dispersion,
+    theta,
+    fitted: x => Math.exp(a + b * (x - mx)) // expected count for a full year
+  };
+}
+
+module.exports = {
+  NB_DISPERSION,
+  linearTrend,
+  countTrend,
+  tTwoSidedP,
+  tCritical
+};
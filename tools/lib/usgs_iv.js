@@ -0,0 +1,87 @@
+/**
+ * USGS instantaneous values (IV), fetched in calendar-month chunks through tools/lib/http.js
+ *
+ *  - fetchUSGSIV({ site, parameterCd, startISO, endISO, checkpointDir, label }):
+ *      [{ t, ft, q }] sorted by time (parseUsgsIv: the parameter's series in feet)
+ *    A multi-year backfill stays well under USGS response-size limits: each request covers at most
+ *    one UTC month of the range. With checkpointDir, every fetched chunk is saved there and reused
+ *    by the next run, so a run that dies part-way resumes where it stopped; the caller clears the
+ *    directory (clearCheckpoints) once the events are saved. The chunk that reaches "now" changes
+ *    every run and is fetched again.
+ *
+ * Chunk files: <checkpointDir>/<site>_<parameterCd>_<chunkStart>_<chunkEnd>.json (times with ":"
+ * replaced), { site, parameterCd, startISO, endISO, series }.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getJSON } = require("./http");
+const { parseUsgsIv } = require("./crest_events.mjs");
+
+// [{ startISO, endISO }] splitting the range at UTC month starts
+function monthChunks(startISO, endISO) {
+  const start = new Date(startISO).getTime();
+  const end = new Date(endISO).getTime();
+  if (!Number.isFinite(start) || !Number.isFinite(end)) throw new Error("Invalid startISO/endISO for USGS IV.");
+
+  const chunks = [];
+  for (let cur = start; cur < end || !chunks.length;) {
+    const d = new Date(cur);
+    const next = Math.min(end, Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+    chunks.push({ startISO: new Date(cur).toISOString(), endISO: new Date(next).toISOString() });
+    if (next <= cur) break;
+    cur = next;
+  }
+  return chunks;
+}
+
+function chunkPath(dir, { site, parameterCd, startISO, endISO }) {
+  const stamp = iso => iso.replace(/:/g, "-");
+  return path.join(dir, `${site}_${parameterCd}_${stamp(startISO)}_${stamp(endISO)}.json`);
+}
+
+async function fetchChunk({ site, parameterCd, startISO, endISO, label }) {
+  const url =
+    "https://waterservices.usgs.gov/nwis/iv/?" +
+    new URLSearchParams({
+      format: "json",
+      sites: site,
+      parameterCd,
+      startDT: startISO,
+      endDT: endISO,
+      siteStatus: "all",
+      agencyCd: "USGS"
+    }).toString();
+
+  return parseUsgsIv(await getJSON(url, { label }), parameterCd);
+}
+
+async function fetchUSGSIV({ site, parameterCd, startISO, endISO, checkpointDir = null, label = "USGS IV fetch" }) {
+  const chunks = monthChunks(startISO, endISO);
+  if (checkpointDir) fs.mkdirSync(checkpointDir, { recursive: true });
+
+  const byT = new Map();
+  let resumed = 0;
+  for (const c of chunks) {
+    const p = checkpointDir ? chunkPath(checkpointDir, { site, parameterCd, ...c }) : null;
+    let series;
+    if (p && fs.existsSync(p)) {
+      series = JSON.parse(fs.readFileSync(p, "utf8")).series;
+      resumed++;
+    } else {
+      series = await fetchChunk({ site, parameterCd, ...c, label });
+      if (p) fs.writeFileSync(p, JSON.stringify({ site, parameterCd, ...c, series }) + "\n", "utf8");
+    }
+    // Chunk ends are inclusive on both sides; the shared boundary point appears twice
+    for (const pt of series) byT.set(new Date(pt.t).getTime(), pt);
+  }
+  if (resumed) console.log(`USGS IV: ${resumed}/${chunks.length} chunk(s) from checkpoints in ${checkpointDir}`);
+
+  return Array.from(byT.entries()).sort((a, b) => a[0] - b[0]).map(([, pt]) => pt);
+}
+
+function clearCheckpoints(checkpointDir) {
+  if (checkpointDir && fs.existsSync(checkpointDir)) fs.rmSync(checkpointDir, { recursive: true, force: true });
+}
+
+module.exports = { monthChunks, fetchUSGSIV, clearCheckpoints };
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+/**
+ * Maintenance for the sharded peaks caches (data/peaks_navd88/ and the other outputs in
+ * data/stations.json), as written by tools/update_peaks_navd88.js
+ *
+ * Modes (each combines with --station=<id> / --all, as in the updater):
+ *   node tools/maintain_peaks_cache.js [--validate]
+ *     -> check every shard: required fields, ISO times, each high's type against the manifest's
+ *        thresholdsNAVD88, one event per crest, shard year/method/count against the manifest, and
+ *        that thresholdsHistoryNAVD88 (if any) is dated, ascending and ends with today's set.
+ *        Exits 1 when anything is wrong.
+ *
+ *   node tools/maintain_peaks_cache.js --rebuild-from=2024-03-01 --rebuild-to=2024-03-31 [--dry-run]
+ *     -> refetch USGS/NOAA and rebuild the events whose crest falls in those UTC days (inclusive;
+ *        full ISO times are taken as-is, the end exclusive). Prints the added/changed/removed events;
+ *        --dry-run stops there. Rebuilt events keep their wind/pressure; new flood tides get it.
+ *
+ *   node tools/maintain_peaks_cache.js --reclassify [--dry-run]
+ *     -> retype the stored highs from their heights under the registry's thresholdsNAVD88 (no
+ *        fetching; the updater does the same when it sees the thresholds change). Time above a
+ *        threshold that moved cannot be recomputed without the series: those entries are dropped
+ *        and the months to --rebuild are listed. Also takes up the registry's thresholdsHistoryNAVD88,
+ *        so the manifest's counts by the thresholds of the day (atTime) follow an edit to it.
+ *
+ *   node tools/maintain_peaks_cache.js --migrate [--dry-run] [--discard]
+ *     -> bring the events to the current method through tools/lib/peaks_migrations.js.
+ *        --discard: with no migration path, drop the events instead (then backfill)
+ *
+ * Changes are saved through the updater's saveCache (manifest stats, only changed shards) and the
+ * result is validated.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readManifest, manifestYears } = require("./lib/peaks_cache");
+const { METHOD, migrationPath, migrateCache } = require("./lib/peaks_migrations");
+const { validateShards, reclassifyEvents, replaceRange, diffEvents } = require("./lib/peaks_maintenance");
+const { clearCheckpoints } = require("./lib/usgs_iv");
+const { CREST_WINDOW_HOURS, DURATION_SEARCH_HOURS, buildCrestEvents, pairTidalRanges } = require("./lib/crest_events.mjs");
+const {
+  CHECKPOINT_ROOT,
+  loadStations,
+  selectStations,
+  checkStation,
+  loadCache,
+  saveCache,
+  logWritten,
+  fetchUSGSIV,
+  fetchNOAAHiloPredictions,
+  datumValuesOf,
+  attachMet
+} = require("./update_peaks_navd88");
+
+// -------------------------
+// Config
+// -------------------------
+const ROOT = path.join(__dirname, "..");
+
+// The rebuilt crests need the series around them: window max plus the time-above walk
+const SERIES_PAD_HOURS = CREST_WINDOW_HOURS + DURATION_SEARCH_HOURS;
+
+// Events listed per diff section (the counts are always complete)
+const DIFF_LIST_MAX = 40;
+const ISSUES_LIST_MAX = 50;
+
+// -------------------------
+// Helpers
+// -------------------------
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+const hasFlag = name => process.argv.includes(name);
+const copy = x => JSON.parse(JSON.stringify(x));
+
+function addHoursISO(iso, hours) {
+  return new Date(new Date(iso).getTime() + hours * 3600 * 1000).toISOString();
+}
+
+// "YYYY-MM-DD" -> start of that UTC day (end=true: start of the next); full ISO times as given
+function parseDateArg(name, { end = false } = {}) {
+  const v = parseArg(name);
+  if (!v) die(`Missing ${name}=YYYY-MM-DD`);
+  const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(v);
+  const ms = Date.parse(dayOnly ? `${v}T00:00:00Z` : v);
+  if (!Number.isFinite(ms)) die(`Invalid ${name}=${v}`);
+  return new Date(dayOnly && end ? ms + 86400 * 1000 : ms).toISOString();
+}
+
+function crestInRange(startMs, endMs) {
+  return e => {
+    const ms = Date.parse(e.crest || e.t);
+    return ms >= startMs && ms < endMs;
+  };
+}
+
+// -------------------------
+// Reporting
+// -------------------------
+function describe(e) {
+  const stage = e.kind === "CrestLow" ? "low" : e.type;
+  return `${e.crest} ${e.kind} ${e.ft} ft (${stage})`;
+}
+
+function printList(sign, items, fmt) {
+  for (const x of items.slice(0, DIFF_LIST_MAX)) console.log(`  ${sign} ${fmt(x)}`);
+  if (items.length > DIFF_LIST_MAX) console.log(`    … ${items.length - DIFF_LIST_MAX} more`);
+}
+
+function printDiff({ added, changed, removed }) {
+  console.log(`Added: ${added.length}  Changed: ${changed.length}  Removed: ${removed.length}`);
+
+  const byField = new Map();
+  for (const c of changed) for (const k of c.fields) byField.set(k, (byField.get(k) || 0) + 1);
+  if (byField.size) {
+    console.log(`Changed fields: ${[...byField].sort((a, b) => b[1] - a[1]).map(([k, n]) => `${k} ${n}`).join(", ")}`);
+  }
+
+  // Height, time or stage changes matter for the dashboard; quality/context fields only count above
+  const moved = changed.filter(c => c.fields.some(k => ["t", "ft", "type"].includes(k)));
+  printList("+", added, describe);
+  printList("~", moved, c => {
+    const parts = ["t", "ft", "type"].filter(k => c.fields.includes(k)).map(k => `${k} ${c.before[k]} -> ${c.after[k]}`);
+    return `${c.before.crest} ${c.before.kind}: ${parts.join(", ")}`;
+  });
+  printList("-", removed, describe);
+}
+
+function monthsOf(events) {
+  return [...new Set(events.map(e => String(e.crest).slice(0, 7)))].sort();
+}
+
+// -------------------------
+// Validation (reads the shards as stored, not through loadCache)
+// -------------------------
+function validateDir(dir) {
+  const manifest = readManifest(dir);
+  const shards = manifestYears(manifest).map(year => {
+    const file = manifest.years[year].file;
+    const p = path.join(dir, file);
+    if (!fs.existsSync(p)) return { file, year, method: manifest.method, events: [], missing: true };
+    const shard = JSON.parse(fs.readFileSync(p, "utf8"));
+    return { file, year, method: shard.method, events: Array.isArray(shard.events) ? shard.events : [] };
+  });
+
+  const issues = validateShards({ manifest, shards, method: METHOD });
+  for (const s of shards) if (s.missing) issues.unshift({ where: s.file, msg: "listed in the manifest but missing" });
+
+  const listed = new Set(shards.map(s => s.file));
+  for (const f of fs.readdirSync(dir).filter(f => /^\d{4}\.json$/.test(f))) {
+    if (!listed.has(f)) issues.push({ where: f, msg: "shard not listed in the manifest" });
+  }
+  return { issues, shards: shards.length, events: shards.reduce((n, s) => n + s.events.length, 0) };
+}
+
+function reportValidation(dir) {
+  const { issues, shards, events } = validateDir(dir);
+  console.log(`Validated ${events} events in ${shards} shard(s): ${issues.length ? `${issues.length} problem(s)` : "OK"}`);
+  for (const i of issues.slice(0, ISSUES_LIST_MAX)) console.log(`  ${i.where}: ${i.msg}`);
+  if (issues.length > ISSUES_LIST_MAX) console.log(`  … ${issues.length - ISSUES_LIST_MAX} more`);
+  return issues.length === 0;
+}
+
+// -------------------------
+// Modes (each returns true when the cache changed and should be saved)
+// -------------------------
+async function rebuildRange(station, cache) {
+  const startISO = parseDateArg("--rebuild-from");
+  const endISO = new Date(Math.min(Date.parse(parseDateArg("--rebuild-to", { end: true })), Date.now())).toISOString();
+  const startMs = Date.parse(startISO);
+  const endMs = Date.parse(endISO);
+  if (!(startMs < endMs)) die(`Empty rebuild range ${startISO} → ${endISO}`);
+  console.log(`Rebuild crests ${startISO} → ${endISO}`);
+
+  const series = await fetchUSGSIV({
+    site: station.usgsSite,
+    parameterCd: station.parameterCd,
+    startISO: addHoursISO(startISO, -SERIES_PAD_HOURS),
+    endISO: new Date(Math.min(Date.parse(addHoursISO(endISO, SERIES_PAD_HOURS)), Date.now())).toISOString(),
+    checkpointDir: path.join(CHECKPOINT_ROOT, station.id)
+  });
+  const predicted = (await fetchNOAAHiloPredictions({ station: station.noaaStation, startISO, endISO }))
+    .filter(crestInRange(startMs, endMs));
+
+  // An empty response would remove every event in the range; treat it as an outage instead
+  if (!series.length || !predicted.length) {
+    throw new Error(`No ${series.length ? "NOAA predicted crests" : "USGS points"} for the range; nothing replaced.`);
+  }
+  console.log(`USGS points: ${series.length}, NOAA crests: ${predicted.length}`);
+
+  const { highs, lows } = buildCrestEvents({
+    series,
+    predicted,
+    thresholdsNAVD88: cache.thresholdsNAVD88,
+    datumValues: datumValuesOf(cache)
+  });
+
+  const inRange = crestInRange(startMs, endMs);
+  const before = copy(cache.events.filter(inRange));
+  cache.events = replaceRange(cache.events, [...highs, ...lows], startMs, endMs);
+  pairTidalRanges(cache.events);
+  printDiff(diffEvents(before, cache.events.filter(inRange)));
+
+  if (hasFlag("--dry-run")) return false;
+
+  try {
+    const n = await attachMet(station, cache, cache.events.filter(inRange));
+    if (n) console.log(`Flood tides given wind/pressure: ${n}`);
+  } catch (err) {
+    console.log(`WARN: wind/pressure skipped (${err.message || err}); run the updater with --backfill-met.`);
+  }
+  return true;
+}
+
+function reclassify(station, cache) {
+  const oldT = cache.thresholdsNAVD88 || null;
+  const T = station.thresholdsNAVD88 || oldT;
+  if (!T) throw new Error(`No thresholdsNAVD88 for ${station.id} in the registry or the cache.`);
+  console.log(`Thresholds: ${JSON.stringify(oldT)} -> ${JSON.stringify(T)}`);
+
+  const oldHistory = cache.thresholdsHistoryNAVD88 || null;
+  const history = station.thresholdsHistoryNAVD88 || oldHistory;
+  if (JSON.stringify(oldHistory) !== JSON.stringify(history)) console.log(`Thresholds history: ${(history || []).length} set(s)`);
+
+  const before = copy(cache.events);
+  const { retyped, durationsDropped, needDurations } = reclassifyEvents(cache.events, T, oldT);
+  cache.thresholdsNAVD88 = T;
+  cache.thresholdsHistoryNAVD88 = history;
+  printDiff(diffEvents(before, cache.events));
+  console.log(`Highs retyped: ${retyped}; time-above entries dropped: ${durationsDropped}`);
+
+  if (needDurations.length) {
+    const months = monthsOf(needDurations);
+    console.log(
+      `Flood tides without time above a threshold: ${needDurations.length}, in ${months.length} month(s): ` +
+      `${months.slice(0, 12).join(", ")}${months.length > 12 ? ", …" : ""} (recompute with --rebuild-from/--rebuild-to)`
+    );
+  }
+  const changed = retyped > 0 || durationsDropped > 0 || JSON.stringify(oldT) !== JSON.stringify(T) ||
+    JSON.stringify(oldHistory) !== JSON.stringify(history);
+  return !hasFlag("--dry-run") && changed;
+}
+
+function migrate(cache) {
+  const from = cache.method || null;
+  const steps = migrationPath(from);
+
+  if (steps && !steps.length) {
+    console.log(`Already at ${METHOD}; nothing to migrate.`);
+    return false;
+  }
+
+  if (!steps) {
+    if (!hasFlag("--discard")) throw new Error(`No migration from ${from || "(none)"} to ${METHOD} in tools/lib/peaks_migrations.js (--discard drops the events).`);
+    const dry = hasFlag("--dry-run");
+    console.log(`No migration from ${from || "(none)"} to ${METHOD}: ${cache.events.length} event(s) ${dry ? "would be " : ""}dropped; backfill to rebuild.`);
+    if (dry) return false;
+    cache.migrations = [...(cache.migrations || []), { from, to: METHOD, atISO: new Date().toISOString(), discarded: cache.events.length }];
+    cache.method = METHOD;
+    cache.events = [];
+    return true;
+  }
+
+  for (const s of steps) console.log(`  ${s.from} -> ${s.to}: ${s.note || ""}`);
+  const before = copy(cache.events);
+  migrateCache(cache);
+  printDiff(diffEvents(before, cache.events));
+  return !hasFlag("--dry-run");
+}
+
+// -------------------------
+// Main
+// -------------------------
+async function maintainStation(station) {
+  checkStation(station);
+  const dir = path.join(ROOT, station.output);
+  console.log(`\n=== ${station.id}: ${station.output}/`);
+
+  const mode = ["--rebuild-from", "--reclassify", "--migrate"].find(m => hasFlag(m) || parseArg(m));
+  if (!mode) {
+    if (fs.existsSync(dir) || fs.existsSync(`${dir}.json`)) return reportValidation(dir);
+    console.log("No cache yet; nothing to validate.");
+    return true;
+  }
+
+  const cache = loadCache(dir);
+  if (!cache) {
+    console.log("No cache yet; nothing to maintain.");
+    return true;
+  }
+  if (mode !== "--migrate" && cache.method !== METHOD) {
+    throw new Error(`Cache method ${cache.method || "(none)"} is not ${METHOD}; run --migrate first.`);
+  }
+
+  let changed = false;
+  if (mode === "--rebuild-from") changed = await rebuildRange(station, cache);
+  else if (mode === "--reclassify") changed = reclassify(station, cache);
+  else changed = migrate(cache);
+
+  if (!changed) {
+    console.log(hasFlag("--dry-run") ? "Dry run: nothing saved." : "No changes.");
+    return true;
+  }
+  logWritten(saveCache(dir, cache));
+  if (mode === "--rebuild-from") clearCheckpoints(path.join(CHECKPOINT_ROOT, station.id));
+  return reportValidation(dir);
+}
+
+async function main() {
+  const stations = selectStations(loadStations());
+
+  const failed = [];
+  for (const station of stations) {
+    try {
+      if (!(await maintainStation(station))) failed.push(station.id);
+    } catch (err) {
+      console.error(`Station ${station.id} failed:`, err.message || err);
+      failed.push(station.id);
+    }
+  }
+
+  if (failed.length) die(`Problems in: ${failed.join(", ")}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,205 @@
+/**
+ * Crest-anchored events: the cache builder (tools/update_peaks_navd88.js) and the dashboard's live
+ * build (index.html) must produce the same events from the same USGS/CO-OPS responses.
+ *
+ * Fixtures (tools/test/fixtures/): one USGS IV response (a gage-height series next to the 72279
+ * tidal elevation, a 45-minute hole on a flood tide's falling limb, an outage over one crest), the
+ * CO-OPS hilo predictions for it, the station's thresholds/datums and the expected events.
+ * After an intended change to the detection, rewrite expected_events.json with
+ *   UPDATE_FIXTURES=1 node --test tools/test/
+ *
+ * Usage:
+ *   node --test tools/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { pathToFileURL } = require("url");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const INDEX_HTML = path.join(__dirname, "..", "..", "index.html");
+const EXPECTED_PATH = path.join(FIXTURES, "expected_events.json");
+const MODULE_URL = pathToFileURL(path.join(__dirname, "..", "lib", "crest_events.mjs")).href;
+// The other modules the dashboard imports from tools/lib/
+const SHARED_MODULES = ["extremes.mjs", "episodes.mjs", "astro.mjs"];
+
+const readFixture = name => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+const IV = readFixture("usgs_iv.json");
+const HILO = readFixture("coops_hilo.json");
+const STATION = readFixture("station.json");
+
+const CE = require("../lib/crest_events.mjs");
+const { datumValues } = require("../lib/datums");
+const peaks = require("../update_peaks_navd88.js");
+
+// Both sides fetch; answer from the fixtures by host
+function stubFetch() {
+  const real = globalThis.fetch;
+  globalThis.fetch = async url => {
+    const host = new URL(String(url)).host;
+    const body = host.includes("waterservices") ? IV : host.includes("tidesandcurrents") ? HILO : null;
+    if (!body) return new Response("{}", { status: 404, statusText: "Not Found" });
+    return new Response(JSON.stringify(body), { status: 200, headers: { "content-type": "application/json" } });
+  };
+  return () => { globalThis.fetch = real; };
+}
+
+// Events compared as stored (the cache writes JSON; vm objects come from another realm)
+const plain = x => JSON.parse(JSON.stringify(x));
+
+// -------------------------
+// Cache builder path (fetch -> build -> merge -> pair, as updateStation runs it)
+// -------------------------
+async function cacheEvents() {
+  const restore = stubFetch();
+  try {
+    const cache = peaks.emptyCache(STATION);
+    // As updateStation records the datum table: offsets to add to NAVD88 for each datum
+    const values = datumValues(STATION);
+    cache.datumTable = { version: "fixture", offsetsFromNAVD88: {} };
+    for (const name of Object.keys(values)) {
+      cache.datumTable.offsetsFromNAVD88[name] = CE.roundFt(CE.convertDatumFt(0, "NAVD88", name, values));
+    }
+
+    const range = { startISO: "2026-03-01T00:00:00Z", endISO: "2026-03-02T20:00:00Z" };
+    const series = await peaks.fetchUSGSIV({ site: STATION.usgsSite, parameterCd: STATION.parameterCd, ...range });
+    const predicted = await peaks.fetchNOAAHiloPredictions({ station: STATION.noaaStation, ...range });
+    peaks.addCrestEvents(cache, { series, predicted });
+    return plain(cache.events);
+  } finally {
+    restore();
+  }
+}
+
+// -------------------------
+// Dashboard path: the live builder and the fetch/parse helpers it calls, taken from index.html
+// -------------------------
+function sourceOf(html, name) {
+  const m = new RegExp(`^(?:async )?function ${name}\\(`, "m").exec(html);
+  assert.ok(m, `index.html: function ${name} not found`);
+
+  // Skip the parameter list (destructuring defaults contain braces), then match the body
+  let i = m.index + m[0].length, depth = 1;
+  for (; depth; i++) depth += html[i] === "(" ? 1 : html[i] === ")" ? -1 : 0;
+  i = html.indexOf("{", i);
+  let j = i;
+  for (depth = 0; ; j++) {
+    if (html[j] === "{") depth++;
+    else if (html[j] === "}" && --depth === 0) break;
+  }
+  return html.slice(m.index, j + 1);
+}
+
+function constOf(html, name) {
+  const m = new RegExp(`^const ${name}\\s*=.*;`, "m").exec(html);
+  assert.ok(m, `index.html: const ${name} not found`);
+  return m[0];
+}
+
+async function dashboardEvents() {
+  const html = fs.readFileSync(INDEX_HTML, "utf8");
+  const src = [
+    ...["USGS_SITE", "USGS_PARAM_PRIMARY", "COOPS_APP", "NOAA_STATION_TIDECLOCK", "LIVE_START_ISO"].map(n => constOf(html, n)),
+    ...["fetchIV", "extractWaterLevelSeries_NAVD88", "fetchObservedSeries", "fetchNOAAHilo", "ymdCompactFromISO",
+      "buildLiveCrestEventsSince2026"].map(n => sourceOf(html, n))
+  ].join("\n");
+
+  // The page imports the same module file (import() there, require() here share one ES module)
+  const CE_ESM = await import(MODULE_URL);
+  const ctx = vm.createContext({
+    CE: CE_ESM,
+    URL,
+    fetch: (...a) => globalThis.fetch(...a),
+    THRESH: { NAVD88: STATION.thresholdsNAVD88 },
+    DATUM_TABLE: { values: datumValues(STATION) },
+    nowISO: () => "2026-03-02T20:00:00.000Z"
+  });
+  vm.runInContext(src, ctx);
+
+  const restore = stubFetch();
+  try {
+    return plain(await vm.runInContext("buildLiveCrestEventsSince2026()", ctx));
+  } finally {
+    restore();
+  }
+}
+
+// -------------------------
+// Tests
+// -------------------------
+test("require() and import() load the same module", async () => {
+  const esm = await import(MODULE_URL);
+  for (const k of Object.keys(esm)) assert.equal(CE[k], esm[k], k);
+
+  const html = fs.readFileSync(INDEX_HTML, "utf8");
+  for (const file of SHARED_MODULES) {
+    const p = path.join(__dirname, "..", "lib", file);
+    const [cjs, mod] = [require(p), await import(pathToFileURL(p).href)];
+    for (const k of Object.keys(mod)) assert.equal(cjs[k], mod[k], `${file}: ${k}`);
+    assert.ok(html.includes(`"./tools/lib/${file}"`), `index.html does not import ${file}`);
+  }
+});
+
+test("cache builder matches the expected events", async () => {
+  const events = await cacheEvents();
+  if (process.env.UPDATE_FIXTURES) fs.writeFileSync(EXPECTED_PATH, JSON.stringify(events, null, 2) + "\n", "utf8");
+  assert.deepStrictEqual(events, readFixture("expected_events.json"));
+});
+
+test("dashboard live build produces the cache builder's events", async () => {
+  assert.deepStrictEqual(await dashboardEvents(), await cacheEvents());
+});
+
+test("fixture exercises the detection rules", () => {
+  const events = readFixture("expected_events.json");
+  const highs = events.filter(e => e.kind === "CrestHigh");
+  const crestsH = CE.parseHiloPredictions(HILO).filter(p => p.type === "H");
+
+  // The outage leaves a predicted high without observations within ±1h: no event
+  assert.ok(highs.length < crestsH.length);
+  assert.ok(events.some(e => e.kind === "CrestLow"));
+  assert.deepStrictEqual([...new Set(highs.map(e => e.type))].sort(), ["Below", "Minor", "Moderate"]);
+  // The hole ends the run early (no bridging): a partial duration
+  assert.ok(highs.some(e => e.above?.minor?.partial));
+  assert.ok(highs.every(e => Number.isFinite(e.pred)));
+  assert.ok(highs.some(e => Number.isFinite(e.rangeFt)));
+  // Only the 72279 series is used
+  const stage = IV.value.timeSeries.find(ts => ts.variable.variableCode[0].value !== STATION.parameterCd);
+  assert.ok(events.every(e => e.ft < Math.min(...stage.values[0].value.map(v => Number(v.value)))));
+});
+
+test("merge dedupes by crest: rerun is a no-op, a higher max wins, replace wins regardless", () => {
+  const events = readFixture("expected_events.json");
+  const rerun = CE.mergeByCrest(plain(events), plain(events));
+  assert.deepStrictEqual({ added: rerun.added, updated: rerun.updated }, { added: 0, updated: 0 });
+  assert.deepStrictEqual(rerun.events, events);
+
+  const high = events.find(e => e.kind === "CrestHigh");
+  const lower = { ...plain(high), t: "2026-03-01T03:00:00.000Z", ft: high.ft - 0.5 };
+  const higher = { ...plain(high), t: "2026-03-01T03:45:00.000Z", ft: high.ft + 0.5 };
+
+  let merged = CE.mergeByCrest(plain(events), [lower]);
+  assert.equal(merged.events.length, events.length);
+  assert.equal(merged.events.find(e => e.crest === high.crest).ft, high.ft);
+
+  merged = CE.mergeByCrest(plain(events), [higher]);
+  assert.equal(merged.events.find(e => e.crest === high.crest).ft, higher.ft);
+
+  merged = CE.mergeByCrest(plain(events), [lower], { replace: true });
+  assert.equal(merged.events.find(e => e.crest === high.crest).ft, lower.ft);
+});
+
+test("index.html has no detector of its own", () => {
+  const html = fs.readFileSync(INDEX_HTML, "utf8");
+  for (const name of ["bestObsNear", "extractFloodPeaks_NAVD", "countFloodPeaks_NAVD", "timeAboveThresholdsNavd",
+    "walkToCrossingNavd", "dedupeByTideBucket"]) {
+    assert.ok(!new RegExp(`function ${name}\\b`).test(html), `index.html defines ${name}`);
+  }
+  assert.ok(!/const (PEAK_MIN_SEP_MINUTES|CREST_WINDOW_HOURS|REQUIRE_WITHIN_HOURS)\b/.test(html));
+  // nor return-period, episode or flood-cause math (tools/lib/extremes.mjs, episodes.mjs, astro.mjs)
+  assert.ok(!/const (RP_XI_EPS|EPISODE_TIDE_PERIOD_HOURS|ASTRO_MARGIN_FT)\b/.test(html));
+  assert.ok(!/Math\.pow\(t, -1 \/ p\.xi\)/.test(html), "index.html evaluates the GEV/GPD itself");
+});
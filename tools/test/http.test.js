@@ -0,0 +1,114 @@
+/**
+ * tools/lib/http.js (retries, record/replay) and tools/lib/usgs_iv.js (month chunks, checkpoints)
+ *
+ * Record/replay is configured from the environment when http.js loads, so those cases run in a
+ * child process with fetch stubbed before the require.
+ *
+ * Usage:
+ *   node --test tools/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const LIB = path.join(__dirname, "..", "lib");
+const http = require("../lib/http");
+const { monthChunks, fetchUSGSIV, clearCheckpoints } = require("../lib/usgs_iv");
+
+const IV = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "usgs_iv.json"), "utf8"));
+
+function withFetch(impl, fn) {
+  const real = globalThis.fetch;
+  globalThis.fetch = impl;
+  return Promise.resolve().then(fn).finally(() => { globalThis.fetch = real; });
+}
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "http-test-"));
+
+test("retries 5xx (Retry-After) and returns the eventual response", async () => {
+  let calls = 0;
+  const body = await withFetch(async () => {
+    calls++;
+    if (calls < 3) return new Response("busy", { status: 503, statusText: "Service Unavailable", headers: { "retry-after": "0" } });
+    return new Response(JSON.stringify({ ok: 1 }), { status: 200 });
+  }, () => http.getJSON("https://retry.example.test/a"));
+
+  assert.deepStrictEqual(body, { ok: 1 });
+  assert.equal(calls, 3);
+});
+
+test("4xx fails at once with the status; exhausted retries fail with the last error", async () => {
+  let calls = 0;
+  await withFetch(async () => { calls++; return new Response("", { status: 404, statusText: "Not Found" }); }, async () => {
+    await assert.rejects(http.getText("https://nf.example.test/x", { label: "NF fetch" }), e => e.status === 404 && /NF fetch failed: 404/.test(e.message));
+  });
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await withFetch(async () => { calls++; throw new Error("ECONNRESET"); }, async () => {
+    await assert.rejects(http.getText("https://down.example.test/x", { attempts: 1 }), /failed after 1 attempt\(s\): ECONNRESET/);
+  });
+  assert.equal(calls, 1);
+});
+
+test("USGS ranges split at UTC month starts", () => {
+  assert.deepStrictEqual(monthChunks("2025-12-20T00:00:00Z", "2026-02-03T06:00:00Z"), [
+    { startISO: "2025-12-20T00:00:00.000Z", endISO: "2026-01-01T00:00:00.000Z" },
+    { startISO: "2026-01-01T00:00:00.000Z", endISO: "2026-02-01T00:00:00.000Z" },
+    { startISO: "2026-02-01T00:00:00.000Z", endISO: "2026-02-03T06:00:00.000Z" }
+  ]);
+  assert.equal(monthChunks("2026-03-01T00:00:00Z", "2026-03-01T00:00:00Z").length, 1);
+});
+
+test("checkpointed chunks are reused by the next run", async () => {
+  const dir = tmpDir();
+  const args = { site: "01412150", parameterCd: "72279", startISO: "2026-02-27T00:00:00Z", endISO: "2026-03-02T20:00:00Z", checkpointDir: dir };
+  const seen = [];
+  const serve = async url => {
+    seen.push(new URL(url).searchParams.get("startDT"));
+    return new Response(JSON.stringify(IV), { status: 200 });
+  };
+
+  const first = await withFetch(serve, () => fetchUSGSIV(args));
+  assert.equal(seen.length, 2);
+  assert.equal(fs.readdirSync(dir).length, 2);
+  assert.ok(first.every((p, i) => i === 0 || new Date(p.t) > new Date(first[i - 1].t)));
+
+  // A failed run leaves its chunks; the rerun fetches nothing
+  const again = await withFetch(async () => { throw new Error("network down"); }, () => fetchUSGSIV(args));
+  assert.deepStrictEqual(again, first);
+
+  clearCheckpoints(dir);
+  assert.ok(!fs.existsSync(dir));
+});
+
+test("record, then replay offline with the recording's clock", () => {
+  const dir = tmpDir();
+  const script = (stub) => `
+    globalThis.fetch = ${stub};
+    const { getJSON } = require(${JSON.stringify(path.join(LIB, "http.js"))});
+    (async () => {
+      const end = new Date().toISOString();
+      const a = await getJSON("https://waterservices.usgs.gov/nwis/iv/?sites=1&startDT=2026-01-01&endDT=" + end);
+      const b = await getJSON("https://api.tidesandcurrents.noaa.gov/api/prod/datagetter?station=2");
+      console.log(JSON.stringify({ a, b, now: Date.now() }));
+    })().catch(e => { console.error(e.message); process.exit(1); });`;
+  const run = (env, stub) => JSON.parse(execFileSync(process.execPath, ["-e", script(stub)], {
+    env: { ...process.env, ...env }, encoding: "utf8", timeout: 30000
+  }));
+
+  const recorded = run({ HTTP_RECORD: dir }, `async u => new Response(JSON.stringify({ u: String(u).split("?")[0], n: Math.random() }))`);
+  const index = JSON.parse(fs.readFileSync(path.join(dir, "index.json"), "utf8"));
+  assert.equal(index.recordings.length, 2);
+
+  const replayed = run({ HTTP_REPLAY: dir }, `async () => { throw new Error("network used during replay"); }`);
+  assert.deepStrictEqual(replayed.a, recorded.a);   // endDT differs: matched by the URL without its time range
+  assert.deepStrictEqual(replayed.b, recorded.b);
+  assert.ok(Math.abs(replayed.now - Date.parse(index.started_utc)) < 60 * 1000);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
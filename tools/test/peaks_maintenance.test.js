@@ -0,0 +1,257 @@
+/**
+ * Peaks cache maintenance (tools/lib/peaks_maintenance.js), method migrations
+ * (tools/lib/peaks_migrations.js) and the manifest's counts by the thresholds of the day, on the
+ * events of the crest-events fixture
+ *
+ * Usage:
+ *   node --test tools/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { classifyNAVD, thresholdsHistory, thresholdsAt } = require("../lib/crest_events.mjs");
+const { saveCache, refreshProvisional, attachMet } = require("../update_peaks_navd88.js");
+const { validateShards, reclassifyEvents, replaceRange, diffEvents } = require("../lib/peaks_maintenance");
+const { METHOD, migrationPath, migrateCache } = require("../lib/peaks_migrations");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const readFixture = name => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+const EVENTS = readFixture("expected_events.json");
+const STATION = readFixture("station.json");
+
+const copy = x => JSON.parse(JSON.stringify(x));
+const highs = events => events.filter(e => e.kind === "CrestHigh");
+
+// The fixture's events as one stored year
+function cacheOf(events = copy(EVENTS)) {
+  return {
+    manifest: {
+      method: METHOD,
+      thresholdsNAVD88: STATION.thresholdsNAVD88,
+      lastProcessedISO: "2026-03-02T20:00:00.000Z",
+      years: { 2026: { file: "2026.json", count: events.length } }
+    },
+    shards: [{ file: "2026.json", year: 2026, method: METHOD, events }],
+    method: METHOD
+  };
+}
+
+test("a sound cache validates", () => {
+  assert.deepStrictEqual(validateShards(cacheOf()), []);
+});
+
+test("validation reports fields, times, stage, duplicates and shard mismatches", () => {
+  const events = copy(EVENTS);
+  const flood = events.find(e => e.type === "Minor");
+  const below = events.find(e => e.type === "Below");
+  const low = events.find(e => e.kind === "CrestLow");
+
+  flood.type = "Below";                        // stage does not match the thresholds
+  below.crest = "2026-03-01 05:00";            // not ISO
+  delete low.ft;                               // required
+  events.push(copy(events[events.length - 1]));   // second event for a crest
+  events.push({ ...copy(events[0]), t: "2025-12-31T23:00:00.000Z", crest: "2025-12-31T23:30:00.000Z" });
+
+  const stored = cacheOf(events);
+  stored.manifest.years[2026].count = EVENTS.length;   // manifest written before the extra events
+  const msgs = validateShards(stored).map(i => `${i.where}: ${i.msg}`);
+  const has = re => assert.ok(msgs.some(m => re.test(m)), `no issue matching ${re}\n${msgs.join("\n")}`);
+  has(/type Below but .* is Minor under thresholdsNAVD88/);
+  has(/crest is not an ISO time/);
+  has(/ft undefined is not a number/);
+  has(/second event for crest/);
+  has(/event of 2025 in the 2026 shard/);
+  has(/out of time order/);
+  has(/manifest count \d+ but \d+ events/);
+
+  const stale = cacheOf();
+  stale.manifest.method = "crest_anchored_highs_v0";
+  assert.match(validateShards(stale)[0].msg, /run --migrate/);
+});
+
+test("reclassify retypes from stored heights and drops durations that moved", () => {
+  const events = copy(EVENTS);
+  const T = STATION.thresholdsNAVD88;
+
+  // Same thresholds: nothing to do
+  assert.deepStrictEqual(reclassifyEvents(events, T, T), { retyped: 0, durationsDropped: 0, needDurations: [] });
+  assert.deepStrictEqual(events, EVENTS);
+
+  // Minor raised above the fixture's minor floods: they become Below and lose their minor duration;
+  // moderate (unchanged threshold) keeps its crossing times
+  const minors = highs(EVENTS).filter(e => e.type === "Minor");
+  const moderate = highs(EVENTS).find(e => e.type === "Moderate");
+  const raised = { ...T, minorLow: Math.max(...minors.map(e => e.ft)) + 0.01 };
+  assert.ok(raised.minorLow < T.moderateLow);
+
+  const r = reclassifyEvents(events, raised, T);
+  assert.equal(r.retyped, minors.length);
+  for (const e of minors) {
+    const now = events.find(x => x.crest === e.crest);
+    assert.equal(now.type, "Below");
+    assert.ok(!now.above);
+  }
+  const mod = events.find(e => e.crest === moderate.crest);
+  assert.equal(mod.type, "Moderate");
+  assert.deepStrictEqual(mod.above.moderate, moderate.above.moderate);
+  assert.ok(!mod.above.minor);                       // minor crossing times moved with the threshold
+  assert.ok(r.needDurations.includes(mod));
+  assert.deepStrictEqual(validateShards({ ...cacheOf(events), manifest: { ...cacheOf(events).manifest, thresholdsNAVD88: raised } }), []);
+});
+
+test("range rebuild swaps only the range's crests, keeps met, and diffs by crest", () => {
+  const events = copy(EVENTS);
+  const startMs = Date.parse("2026-03-01T12:00:00Z");
+  const endMs = Date.parse("2026-03-02T00:00:00Z");
+  const inRange = e => Date.parse(e.crest) >= startMs && Date.parse(e.crest) < endMs;
+  const old = events.filter(inRange);
+  assert.ok(old.length >= 2);
+
+  old[0].met = { wind_kt: 20, wind_deg: 90, wind_dir: "E", gust_kt: 28, pres_mb: 1002 };
+  const built = copy(old.slice(1));                  // first crest now has no data: removed
+  built[0].ft += 0.1;                                // changed
+  built.push({ ...copy(old[1]), crest: "2026-03-01T23:59:00.000Z", t: "2026-03-01T23:59:00.000Z" });   // added
+  const first = copy(old[0]);
+  const again = copy(old[0]);
+  delete again.met;
+
+  const out = replaceRange(events, [...built, again], startMs, endMs);
+  assert.deepStrictEqual(out.filter(e => !inRange(e)), events.filter(e => !inRange(e)));
+  assert.deepStrictEqual(out.find(e => e.crest === first.crest).met, first.met);
+
+  const d = diffEvents(copy(old), out.filter(inRange));
+  assert.equal(d.added.length, 1);
+  assert.equal(d.removed.length, 0);
+  assert.deepStrictEqual(d.changed.map(c => c.fields), [["ft"]]);
+
+  const dropped = diffEvents(copy(old), replaceRange(events, built, startMs, endMs).filter(inRange));
+  assert.deepStrictEqual(dropped.removed.map(e => e.crest), [first.crest]);
+});
+
+test("migrations carry events forward step by step; no path leaves the cache alone", () => {
+  const steps = [
+    { from: "m2", to: "m3", note: "feet to three decimals", migrate: events => events.map(e => ({ ...e, ft: Math.round(e.ft * 1000) / 1000 })) },
+    { from: "m1", to: "m2", note: "rename peak -> CrestHigh", migrate: events => { for (const e of events) if (e.kind === "peak") e.kind = "CrestHigh"; } }
+  ];
+  assert.deepStrictEqual(migrationPath("m1", "m3", steps).map(s => s.to), ["m2", "m3"]);
+  assert.deepStrictEqual(migrationPath("m3", "m3", steps), []);
+  assert.equal(migrationPath("m0", "m3", steps), null);
+  assert.equal(migrationPath("m1", "m3", [...steps, { from: "m2", to: "m1", migrate: x => x }].reverse()), null);
+
+  const cache = { method: "m1", events: [{ t: "2026-03-01T00:00:00.000Z", crest: "2026-03-01T00:10:00.000Z", kind: "peak", ft: 4.12345 }] };
+  const applied = migrateCache(cache, { to: "m3", migrations: steps, atISO: "2026-10-19T00:00:00.000Z" });
+  assert.equal(applied.length, 2);
+  assert.equal(cache.method, "m3");
+  assert.deepStrictEqual(cache.events, [{ t: "2026-03-01T00:00:00.000Z", crest: "2026-03-01T00:10:00.000Z", kind: "CrestHigh", ft: 4.123 }]);
+  assert.deepStrictEqual(cache.migrations.map(m => `${m.from}->${m.to}`), ["m1->m2", "m2->m3"]);
+
+  const orphan = { method: "m0", events: copy(EVENTS) };
+  assert.throws(() => migrateCache(orphan, { to: "m3", migrations: steps }), /No migration from method m0 to m3/);
+  assert.deepStrictEqual(orphan, { method: "m0", events: EVENTS });
+
+  // The tools' current method needs no steps
+  assert.deepStrictEqual(migrationPath(METHOD), []);
+});
+
+test("a thresholds history classifies by the set in force; the manifest counts both ways", () => {
+  const T = STATION.thresholdsNAVD88;
+  const minors = highs(EVENTS).filter(e => e.type === "Minor");
+  const change = "2026-03-02";
+  const before = { from: null, ...T, minorLow: Math.max(...minors.map(e => e.ft)) + 0.01 };
+  const history = [before, { from: change, ...T }];
+
+  const sets = thresholdsHistory(history, T);
+  assert.equal(thresholdsAt(sets, Date.parse("2026-03-01T23:59:00Z")).minorLow, before.minorLow);
+  assert.equal(thresholdsAt(sets, Date.parse(`${change}T00:00:00Z`)).minorLow, T.minorLow);
+  assert.deepStrictEqual(thresholdsHistory(null, T).map(s => s.minorLow), [T.minorLow]);
+
+  const stored = cacheOf();
+  stored.manifest.thresholdsHistoryNAVD88 = history;
+  assert.deepStrictEqual(validateShards(stored), []);
+  stored.manifest.thresholdsHistoryNAVD88 = [{ ...history[1], from: "2026-3-2" }, { ...before, from: null }];
+  const msgs = validateShards(stored).map(i => i.msg);
+  assert.ok(msgs.some(m => /not a YYYY-MM-DD day/.test(m)));
+  assert.ok(msgs.some(m => /only the first set may have from null/.test(m)));
+  assert.ok(msgs.some(m => /last thresholdsHistoryNAVD88 set is not thresholdsNAVD88/.test(m)));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "peaks-test-"));
+  const save = thresholdsHistoryNAVD88 => {
+    saveCache(dir, { method: METHOD, thresholdsNAVD88: T, thresholdsHistoryNAVD88, events: copy(EVENTS) });
+    return JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8")).years[2026];
+  };
+
+  const year = save(history);
+  const floodsThen = highs(EVENTS).filter(e => classifyNAVD(e.ft, thresholdsAt(sets, Date.parse(e.t))) !== "Below");
+  assert.equal(year.floods.minor, minors.length);
+  assert.equal(year.atTime.floods.minor + year.atTime.floods.moderate + year.atTime.floods.major, floodsThen.length);
+  assert.ok(floodsThen.length < highs(EVENTS).filter(e => e.type !== "Below").length);
+  assert.ok(!("hours" in year.atTime.floods));
+  assert.ok(year.atTime.episodes.n <= year.episodes.n);
+
+  // Today's set throughout: nothing to add
+  assert.ok(!("atTime" in save([{ from: null, ...T }])));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("provisional refresh rotates through the months USGS has not approved yet", async () => {
+  // Three provisional months; USGS still has nothing approved for any of them
+  const months = ["2025-01", "2025-02", "2025-03"];
+  const cache = {
+    thresholdsNAVD88: STATION.thresholdsNAVD88,
+    events: months.map(m => ({ ...copy(highs(EVENTS)[0]), t: `${m}-10T12:00:00.000Z`, crest: `${m}-10T12:00:00.000Z`, qualifiers: ["P"] }))
+  };
+  const asked = [];
+  const realFetch = globalThis.fetch;
+  const realLog = console.log;
+  globalThis.fetch = async url => {
+    asked.push(new URL(String(url)).searchParams.get("startDT").slice(0, 7));
+    return new Response(JSON.stringify({ value: { timeSeries: [] } }), { status: 200 });
+  };
+  console.log = () => {};
+  process.argv.push("--refresh-max-months=1");
+  try {
+    for (let i = 0; i < 4; i++) {
+      await refreshProvisional({ usgsSite: STATION.usgsSite, parameterCd: STATION.parameterCd }, cache);
+      await new Promise(r => setTimeout(r, 2));   // distinct check times
+    }
+  } finally {
+    process.argv.pop();
+    globalThis.fetch = realFetch;
+    console.log = realLog;
+  }
+  assert.deepStrictEqual(asked, ["2025-01", "2025-02", "2025-03", "2025-01"]);
+  assert.deepStrictEqual(Object.keys(cache.provisionalCheckedISO).sort(), months);
+});
+
+test("flood-tide met: a failing month is skipped and an empty window stays unset, both retried", async () => {
+  // One flood tide a month: CO-OPS fails for January, has no data for February, answers for March
+  const months = ["2025-01", "2025-02", "2025-03"];
+  const events = months.map(m => ({ ...copy(highs(EVENTS)[0]), type: "Minor", t: `${m}-10T12:00:00.000Z`, crest: `${m}-10T12:00:00.000Z` }));
+  const realFetch = globalThis.fetch;
+  const realLog = console.log;
+  globalThis.fetch = async url => {
+    const q = new URL(String(url)).searchParams;
+    const month = `${q.get("begin_date").slice(0, 4)}-${q.get("begin_date").slice(4, 6)}`;
+    if (month === "2025-01") return new Response("{}", { status: 400, statusText: "Bad Request" });
+    if (month === "2025-02") return new Response(JSON.stringify({ error: { message: "No data was found." } }), { status: 200 });
+    const data = q.get("product") === "wind"
+      ? [{ t: "2025-03-10 11:00", s: "21.4", d: "135.00", dr: "SE", g: "27.2" }]
+      : [{ t: "2025-03-10 11:00", v: "1001.2" }];
+    return new Response(JSON.stringify({ data }), { status: 200 });
+  };
+  console.log = () => {};
+  let n;
+  try {
+    n = await attachMet({ metStation: { id: "8537121" } }, {}, events);
+  } finally {
+    globalThis.fetch = realFetch;
+    console.log = realLog;
+  }
+  assert.equal(n, 1);
+  assert.deepStrictEqual(events.map(e => e.met?.wind_kt ?? null), [null, null, 21.4]);
+  assert.ok(!("met" in events[0]) && !("met" in events[1]));
+});
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Station datum tables from the NOAA CO-OPS datums product
+ *
+ * For each NOAA station in data/stations.json (noaaStation), fetch
+ *   https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations/<id>/datums.json?units=english
+ * and write data/datums/<id>.json in the same format, plus { station, version, source_url, retrieved_utc }.
+ * The tables feed every datum conversion (tools/lib/datums.js and the dashboard's datum button).
+ *
+ * A table is only rewritten when its epoch or values change (version = epoch + hash of the values),
+ * and never replaced by a response that lacks MLLW.
+ *
+ * Subordinate stations (Bivalve among them) often have no NAVD88 in CO-OPS. The NAVD88 - MLLW
+ * offset of the existing table is then carried over onto the new table's MLLW, and the file says so
+ * (navd88_carried_from); a station with neither is still rejected.
+ *
+ * Usage:
+ *   node tools/update_datums.js                 -> every station in the registry
+ *   node tools/update_datums.js --station=bivalve
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { REQUIRED_DATUMS, datumsPath, datumValues, datumTableVersion } = require("./lib/datums");
+const { getJSON } = require("./lib/http");
+
+// -------------------------
+// Config
+// -------------------------
+const ROOT = path.join(__dirname, "..");
+const STATIONS_PATH = path.join(ROOT, "data", "stations.json");
+const MDAPI = "https://api.tidesandcurrents.noaa.gov/mdapi/prod/webapi/stations";
+
+// CO-OPS fields carried over as-is
+const KEEP_FIELDS = ["accepted", "superseded", "epoch", "units", "OrthometricDatum", "datums", "LAT", "LATdate", "LATtime", "HAT", "HATdate", "HATtime", "min", "mindate", "mintime", "max", "maxdate", "maxtime", "disclaimers"];
+
+// -------------------------
+// Helpers
+// -------------------------
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function loadJSON(p) {
+  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function selectStations() {
+  const reg = loadJSON(STATIONS_PATH);
+  const stations = Array.isArray(reg?.stations) ? reg.stations : [];
+  const want = parseArg("--station");
+  const picked = want ? stations.filter(s => s.id === want || s.noaaStation === want) : stations;
+  if (!picked.length) die(`No matching station in ${STATIONS_PATH}${want ? ` for --station=${want}` : ""}`);
+  return picked;
+}
+
+// -------------------------
+// Fetch + write
+// -------------------------
+async function fetchDatums(noaaStation) {
+  const url = `${MDAPI}/${encodeURIComponent(noaaStation)}/datums.json?units=english`;
+  return { url, json: await getJSON(url, { label: `CO-OPS datums ${noaaStation}` }) };
+}
+
+// No NAVD88 in the response: re-reference the previous table's NAVD88 - MLLW offset to the new MLLW.
+// Returns what was carried (for the file) or null when nothing was needed or nothing is known.
+function carryNavd88(doc, prev) {
+  const values = datumValues(doc);
+  const old = datumValues(prev);
+  if (Number.isFinite(values.NAVD88) || !Number.isFinite(values.MLLW)) return null;
+  if (!Number.isFinite(old.NAVD88) || !Number.isFinite(old.MLLW)) return null;
+
+  const offset = Math.round((old.NAVD88 - old.MLLW) * 1000) / 1000;
+  doc.datums = (Array.isArray(doc.datums) ? doc.datums : []).filter(d => d?.name !== "NAVD88");
+  doc.datums.push({
+    name: "NAVD88",
+    description: "North American Vertical Datum of 1988",
+    value: Math.round((values.MLLW + offset) * 1000) / 1000
+  });
+  return {
+    version: prev.version || datumTableVersion(prev),
+    source_url: prev.source_url || prev.navd88_carried_from?.source_url || null,
+    offset_ft: offset
+  };
+}
+
+async function updateStation(st) {
+  const id = String(st.noaaStation);
+  const { url, json } = await fetchDatums(id);
+
+  const out = datumsPath(id);
+  const prev = fs.existsSync(out) ? loadJSON(out) : null;
+
+  const doc = { station: id, name: st.name || undefined };
+  for (const k of KEEP_FIELDS) if (json[k] !== undefined) doc[k] = json[k];
+  const carried = carryNavd88(doc, prev);
+
+  const values = datumValues(doc);
+  const missing = REQUIRED_DATUMS.filter(n => !Number.isFinite(values[n]));
+  if (missing.length) throw new Error(`CO-OPS table for ${id} lacks ${missing.join(", ")}; keeping the existing file`);
+
+  if (carried) {
+    doc.navd88_carried_from = carried;
+    console.log(`${id}: CO-OPS has no NAVD88; kept NAVD88 = MLLW - ${carried.offset_ft} ft from ${carried.version}`);
+  }
+  doc.version = datumTableVersion(doc);
+  doc.source_url = url;
+  doc.retrieved_utc = new Date().toISOString();
+
+  if (prev?.version === doc.version) {
+    console.log(`${id}: unchanged (${doc.version})`);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(doc, null, 2) + "\n", "utf8");
+  console.log(`${id}: ${prev?.version || "none"} -> ${doc.version} (${Object.keys(values).join(", ")})`);
+}
+
+async function main() {
+  const seen = new Set();
+  const failed = [];
+  for (const st of selectStations()) {
+    if (seen.has(st.noaaStation)) continue;
+    seen.add(st.noaaStation);
+    try {
+      await updateStation(st);
+    } catch (err) {
+      console.error(`Datums for ${st.id} failed:`, err.message || err);
+      failed.push(st.id);
+    }
+  }
+  if (failed.length) die(`Datum update failed for: ${failed.join(", ")}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
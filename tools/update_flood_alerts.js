@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+/**
+ * Local flood-alert feed from the committed forecasts
+ *
+ * Reads the PETSS forecast (data/petss_forecast.json + data/petss_meta.json, MLLW) and, when a cached
+ * copy exists, the NWPS stageflow forecast for BVVN4 (data/nwps_forecast.json, MLLW; written by
+ * tools/update_nwps_forecast.js). Each forecast is
+ * cut to the next ALERT_HORIZON_HOURS from now and split into flood segments exactly like the
+ * dashboard's buildFloodSegments(): consecutive points at/above minor form one segment, whose stage
+ * is the stage of its peak. Thresholds are the registry's NAVD88 values converted to MLLW with the
+ * station datum table (data/datums/<noaaStation>.json).
+ *
+ * Segments are matched to the alerts already active for that source (overlapping times, or peaks
+ * within ALERT_MATCH_HOURS). Only transitions produce feed entries:
+ *   new        a flood segment appears
+ *   upgrade    a matched segment's peak stage rises       downgrade  ... falls
+ *   cleared    an active alert is no longer forecast (and has not ended yet)
+ * Alerts whose end time has passed are retired without an entry; a flood already under way keeps
+ * its start, and its peak once passed (the forecast is cut at now). Re-running on the same forecast, or on a new cycle that
+ * forecasts the same floods, produces nothing new; the dedupe state lives in data/alerts/state.json.
+ *
+ * Outputs (rewritten only when an alert, the entries or the pending deliveries change):
+ *   data/alerts/state.json     active alerts, last forecast seen per source (dedupe state) and the
+ *                              webhook deliveries still pending
+ *   data/alerts/alerts.json    { generated_utc, station, datum, thresholds, active, entries }
+ *   data/alerts/feed.atom      Atom feed of the last ALERT_HISTORY_MAX entries
+ *   data/alerts/webhook.json   webhook-ready payloads ({ text, content, alert }) for the entries of
+ *                              the latest run that produced any; Slack reads "text", Discord "content"
+ *
+ * Usage:
+ *   node tools/update_flood_alerts.js [--station=bivalve] [--nwps=path/to/stageflow.json]
+ *   node tools/update_flood_alerts.js --post     -> also POST this run's payloads to every URL in
+ *                                                   ALERT_WEBHOOK_URLS (comma separated); failed
+ *                                                   posts stay pending and are retried next run
+ *   --now=ISO overrides the clock (replaying an old forecast).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { loadDatumTable } = require("./lib/datums");
+
+// -------------------------
+// Config
+// -------------------------
+const ROOT = path.join(__dirname, "..");
+const STATIONS_PATH = path.join(ROOT, "data", "stations.json");
+const PETSS_FORECAST_PATH = path.join(ROOT, "data", "petss_forecast.json");
+const PETSS_META_PATH = path.join(ROOT, "data", "petss_meta.json");
+const NWPS_CACHE_PATH = path.join(ROOT, "data", "nwps_forecast.json");
+const ALERTS_DIR = path.join(ROOT, "data", "alerts");
+
+const ALERT_DATUM = "MLLW";            // both forecasts are published in MLLW
+const ALERT_HORIZON_HOURS = 48;        // same window as the dashboard's flood outlook
+const ALERT_MATCH_HOURS = 6;           // peaks this close are the same flood across forecast runs
+const ALERT_HISTORY_MAX = 50;          // entries kept in alerts.json / feed.atom
+const STAGES = ["Below", "Minor", "Moderate", "Major"];
+
+const TZ = "Etc/GMT+5"; // EST, like the dashboard
+const fmtEST = new Intl.DateTimeFormat("en-US", { timeZone: TZ, month: "short", day: "numeric", hour: "numeric", minute: "2-digit", hour12: true });
+
+// -------------------------
+// Helpers
+// -------------------------
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function hasFlag(name) {
+  return process.argv.includes(name);
+}
+
+function loadJSON(p) {
+  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function readJSONIfExists(p, fallback) {
+  if (!fs.existsSync(p)) return fallback;
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function fmtTime(iso) {
+  return `${fmtEST.format(new Date(iso))} EST`;
+}
+
+function xmlEscape(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function selectStation() {
+  const reg = loadJSON(STATIONS_PATH);
+  const stations = Array.isArray(reg?.stations) ? reg.stations : [];
+  const want = parseArg("--station") || reg.default;
+  const st = stations.find(s => s.id === want || s.usgsSite === want);
+  if (!st) die(`Station "${want}" not found in ${STATIONS_PATH}`);
+  return st;
+}
+
+// -------------------------
+// Forecast sources (normalized to [{ t, ms, ft }] in MLLW)
+// -------------------------
+function normalizePoints(arr, timeOf, ftOf) {
+  return arr
+    .map(p => {
+      const t = timeOf(p);
+      const ms = new Date(t).getTime();
+      const ft = Number(ftOf(p));
+      return (t && Number.isFinite(ms) && Number.isFinite(ft)) ? { t: new Date(ms).toISOString(), ms, ft } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.ms - b.ms);
+}
+
+// "petss.20260222" + "t06z" -> "2026-02-22T06:00:00.000Z", as in update_petss_forecast.js and the dashboard
+function petssCycleIssuedISO(meta) {
+  const d = String(meta?.run_dir || "").match(/(\d{4})(\d{2})(\d{2})/);
+  const h = String(meta?.cycle || "").match(/t(\d{2})z/);
+  if (!d || !h) return null;
+  return new Date(Date.UTC(+d[1], +d[2] - 1, +d[3], +h[1], 0, 0)).toISOString();
+}
+
+function loadPetssForecast() {
+  if (!fs.existsSync(PETSS_FORECAST_PATH)) return null;
+  const json = loadJSON(PETSS_FORECAST_PATH);
+  const meta = readJSONIfExists(PETSS_META_PATH, {});
+  if (meta.datum && meta.datum !== ALERT_DATUM) die(`PETSS forecast is in ${meta.datum}, expected ${ALERT_DATUM}`);
+
+  // Same value the dashboard plots: ensemble-mean TWL (fall back to TIDE+SURGE)
+  const arr = Array.isArray(json) ? json : (Array.isArray(json?.points) ? json.points : []);
+  const points = normalizePoints(arr, p => p.t, p => {
+    if (p.twl !== null && p.twl !== undefined) return p.twl;
+    return (Number.isFinite(p.tide) && Number.isFinite(p.surge)) ? p.tide + p.surge : null;
+  });
+
+  const cycle = meta.run_dir && meta.cycle ? `${meta.run_dir}/${meta.cycle}` : null;
+  return {
+    source: "petss",
+    label: "NOAA/PETSS",
+    key: cycle || meta.updated_utc || null,
+    issued: meta.issued_utc || petssCycleIssuedISO(meta),
+    cycle,
+    points
+  };
+}
+
+// Same shapes the dashboard's extractNWPSForecastSeries() accepts
+function extractNWPSForecastSeries(json) {
+  if (Array.isArray(json?.data) && json.data.length) return json.data;
+  if (Array.isArray(json?.forecast?.timeSeries) && json.forecast.timeSeries.length) {
+    const d = json.forecast.timeSeries[0]?.data;
+    if (Array.isArray(d) && d.length) return d;
+  }
+  if (Array.isArray(json?.forecast?.data) && json.forecast.data.length) return json.forecast.data;
+  return [];
+}
+
+function loadNwpsForecast() {
+  const p = parseArg("--nwps") || NWPS_CACHE_PATH;
+  if (!fs.existsSync(p)) return null;
+  const json = loadJSON(p);
+  const issued = json.issuedTime || json.issued_time || json?.forecast?.issuedTime || null;
+  return {
+    source: "nwps",
+    label: "NOAA/NWS NWPS",
+    key: issued,
+    issued,
+    cycle: null,
+    points: normalizePoints(extractNWPSForecastSeries(json), d => d.validTime || d.valid_time, d => d.primary)
+  };
+}
+
+// -------------------------
+// Stage logic (mirrors stageNameFromDisplayFt / buildFloodSegments in index.html)
+// -------------------------
+function stageName(ft, T) {
+  if (ft >= T.majorLow) return "Major";
+  if (ft >= T.moderateLow) return "Moderate";
+  if (ft >= T.minorLow) return "Minor";
+  return "Below";
+}
+
+function buildFloodSegments(points, T) {
+  const segs = [];
+  let cur = null;
+
+  for (const p of points) {
+    const stage = stageName(p.ft, T);
+
+    if (stage === "Below") {
+      if (cur) { segs.push(cur); cur = null; }
+      continue;
+    }
+
+    if (!cur) {
+      cur = { startT: p.t, endT: p.t, startMs: p.ms, endMs: p.ms, peakT: p.t, peakMs: p.ms, peakFt: p.ft, peakStage: stage };
+    } else {
+      cur.endT = p.t;
+      cur.endMs = p.ms;
+      if (p.ft > cur.peakFt) {
+        cur.peakT = p.t;
+        cur.peakMs = p.ms;
+        cur.peakFt = p.ft;
+        cur.peakStage = stage;
+      }
+    }
+  }
+  if (cur) segs.push(cur);
+  return segs;
+}
+
+// -------------------------
+// Matching + transitions
+// -------------------------
+function sameFlood(alert, seg) {
+  const aStart = Date.parse(alert.start), aEnd = Date.parse(alert.end), aPeak = Date.parse(alert.peak_t);
+  const overlaps = seg.startMs <= aEnd && seg.endMs >= aStart;
+  return overlaps || Math.abs(seg.peakMs - aPeak) <= ALERT_MATCH_HOURS * 3600 * 1000;
+}
+
+function alertId(source, peakT) {
+  return `${source}-${peakT.slice(0, 13).replace(/-/g, "")}Z`; // e.g. petss-20260218T14Z
+}
+
+function describe(kind, a, fc, station) {
+  const where = station.name || station.id;
+  const window = `${fmtTime(a.start)} → ${fmtTime(a.end)}`;
+  const peak = `peak ${a.peak_ft.toFixed(2)} ft ${ALERT_DATUM} around ${fmtTime(a.peak_t)}`;
+  const titles = {
+    new: `${a.stage} flooding forecast`,
+    upgrade: `Upgraded to ${a.stage} flooding (was ${a.prev_stage})`,
+    downgrade: `Downgraded to ${a.stage} flooding (was ${a.prev_stage})`,
+    cleared: `Flooding no longer forecast (was ${a.prev_stage})`
+  };
+  const title = `${where}: ${titles[kind]}`;
+  const summary = kind === "cleared"
+    ? `${fc.label} no longer shows the ${a.prev_stage.toLowerCase()} flood expected ${window}.`
+    : `${fc.label}: ${window}, ${peak}.`;
+  return { title, summary };
+}
+
+function makeEntry(kind, alert, fc, station, nowISO, prevStage) {
+  const a = { ...alert, prev_stage: prevStage || null };
+  const { title, summary } = describe(kind, a, fc, station);
+  return {
+    id: `${alert.id}:${kind}:${nowISO}`,
+    alert_id: alert.id,
+    kind,
+    source: fc.source,
+    stage: kind === "cleared" ? "Below" : alert.stage,
+    prev_stage: prevStage || null,
+    start: alert.start,
+    end: alert.end,
+    peak_t: alert.peak_t,
+    peak_ft: alert.peak_ft,
+    datum: ALERT_DATUM,
+    forecast: { issued: fc.issued, cycle: fc.cycle },
+    created_utc: nowISO,
+    title,
+    summary
+  };
+}
+
+/**
+ * Diff one source's forecast against its active alerts.
+ * Returns { active, entries } — the new active list and the transitions to publish.
+ */
+function diffSource(fc, prevActive, T, station, nowMs) {
+  const nowISO = new Date(nowMs).toISOString();
+  const horizonMs = nowMs + ALERT_HORIZON_HOURS * 3600 * 1000;
+  const pts = fc.points.filter(p => p.ms >= nowMs && p.ms <= horizonMs);
+  const segs = buildFloodSegments(pts, T);
+
+  const entries = [];
+  const active = [];
+  const unmatched = prevActive.filter(a => Date.parse(a.end) >= nowMs); // ended alerts retire quietly
+
+  for (const seg of segs) {
+    // closest-peak match among the still-unmatched alerts
+    let best = -1;
+    for (let i = 0; i < unmatched.length; i++) {
+      if (!sameFlood(unmatched[i], seg)) continue;
+      if (best < 0 || Math.abs(Date.parse(unmatched[i].peak_t) - seg.peakMs) < Math.abs(Date.parse(unmatched[best].peak_t) - seg.peakMs)) best = i;
+    }
+    const prev = best >= 0 ? unmatched.splice(best, 1)[0] : null;
+    // a flood already under way is cut at now: keep the start it had, and its peak once that has
+    // passed, instead of moving them every run (or downgrading it as it recedes)
+    const underWay = prev && seg.startMs === pts[0].ms && Date.parse(prev.start) < seg.startMs;
+    const peakPassed = underWay && Date.parse(prev.peak_t) < seg.startMs && prev.peak_ft >= round2(seg.peakFt);
+
+    const alert = {
+      id: prev ? prev.id : alertId(fc.source, seg.peakT),
+      source: fc.source,
+      stage: peakPassed ? prev.stage : seg.peakStage,
+      start: underWay ? prev.start : seg.startT,
+      end: seg.endT,
+      peak_t: peakPassed ? prev.peak_t : seg.peakT,
+      peak_ft: peakPassed ? prev.peak_ft : round2(seg.peakFt),
+      first_seen_utc: prev ? prev.first_seen_utc : nowISO,
+      forecast_key: fc.key
+    };
+    active.push(alert);
+
+    if (!prev) {
+      entries.push(makeEntry("new", alert, fc, station, nowISO));
+    } else if (prev.stage !== alert.stage) {
+      const kind = STAGES.indexOf(alert.stage) > STAGES.indexOf(prev.stage) ? "upgrade" : "downgrade";
+      entries.push(makeEntry(kind, alert, fc, station, nowISO, prev.stage));
+    }
+  }
+
+  // Still in the future but gone from the forecast
+  for (const gone of unmatched) {
+    entries.push(makeEntry("cleared", gone, fc, station, nowISO, gone.stage));
+  }
+
+  return { active, entries };
+}
+
+// -------------------------
+// Outputs
+// -------------------------
+function webhookPayload(e) {
+  const text = `${e.title}\n${e.summary}`;
+  return { text, content: text, alert: e };
+}
+
+function atomFeed(entries, station, updatedISO) {
+  const feedId = `urn:flood-alerts:${station.id}`;
+  const selfUrl = process.env.ALERT_FEED_URL || null;
+  const lines = [
+    `<?xml version="1.0" encoding="utf-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `  <id>${xmlEscape(feedId)}</id>`,
+    `  <title>${xmlEscape(`${station.name || station.id} flood alerts`)}</title>`,
+    `  <updated>${updatedISO}</updated>`,
+    `  <author><name>${xmlEscape(station.name || station.id)} flood dashboard</name></author>`
+  ];
+  if (selfUrl) lines.push(`  <link rel="self" href="${xmlEscape(selfUrl)}"/>`);
+  for (const e of entries) {
+    lines.push(
+      `  <entry>`,
+      `    <id>${xmlEscape(`${feedId}:${e.id}`)}</id>`,
+      `    <title>${xmlEscape(e.title)}</title>`,
+      `    <updated>${e.created_utc}</updated>`,
+      `    <category term="${xmlEscape(e.kind)}"/>`,
+      `    <category term="${xmlEscape(e.stage)}"/>`,
+      `    <summary>${xmlEscape(e.summary)}</summary>`,
+      `  </entry>`
+    );
+  }
+  lines.push(`</feed>`);
+  return lines.join("\n") + "\n";
+}
+
+// Webhook URLs carry their tokens and state.json is committed: pending deliveries name them by hash
+function webhookKey(url) {
+  return crypto.createHash("sha256").update(url).digest("hex").slice(0, 12);
+}
+
+/**
+ * POST this run's payloads to every URL in ALERT_WEBHOOK_URLS and retry the deliveries that failed
+ * before (pending: [{ id, hooks, payload }], hooks = webhookKey()s still owed the payload).
+ * Returns the deliveries that are still pending; those of a URL no longer configured are dropped.
+ */
+async function postWebhooks(payloads, pending) {
+  const urls = (process.env.ALERT_WEBHOOK_URLS || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (!urls.length) {
+    console.log("No ALERT_WEBHOOK_URLS set; payloads written only.");
+    return pending;
+  }
+  const hooks = new Map(urls.map(u => [webhookKey(u), u]));
+  const jobs = [
+    ...pending.map(d => ({ payload: d.payload, keys: d.hooks.filter(k => hooks.has(k)) })),
+    ...payloads.map(payload => ({ payload, keys: [...hooks.keys()] }))
+  ];
+
+  const left = [];
+  for (const { payload, keys } of jobs) {
+    const failed = [];
+    for (const key of keys) {
+      const url = hooks.get(key);
+      try {
+        const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      } catch (err) {
+        console.warn(`WARN: webhook ${new URL(url).host} failed for ${payload.alert.id} (retried next run):`, err.message || err);
+        failed.push(key);
+      }
+    }
+    if (failed.length) left.push({ id: payload.alert.id, hooks: failed, payload });
+  }
+  return left.slice(-ALERT_HISTORY_MAX);
+}
+
+function writeFile(name, text) {
+  fs.mkdirSync(ALERTS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(ALERTS_DIR, name), text, "utf8");
+  console.log(`Wrote data/alerts/${name}`);
+}
+
+// -------------------------
+// Main
+// -------------------------
+async function main() {
+  const station = selectStation();
+  const nowArg = parseArg("--now");
+  const nowMs = nowArg ? Date.parse(nowArg) : Date.now();
+  if (!Number.isFinite(nowMs)) die(`Bad --now=${nowArg}`);
+  const nowISO = new Date(nowMs).toISOString();
+
+  let datums;
+  try {
+    datums = loadDatumTable(station.noaaStation);
+  } catch (err) {
+    die(`Datum table needed for MLLW thresholds: ${err.message || err}`);
+  }
+  const T = {};
+  for (const k of ["minorLow", "moderateLow", "majorLow"]) {
+    T[k] = datums.convert(Number(station.thresholdsNAVD88?.[k]), "NAVD88", ALERT_DATUM);
+    if (!Number.isFinite(T[k])) die(`Station ${station.id} lacks thresholdsNAVD88.${k}`);
+  }
+
+  const forecasts = [loadPetssForecast(), loadNwpsForecast()].filter(Boolean);
+  if (!forecasts.length) die(`No forecast found (${PETSS_FORECAST_PATH}${fs.existsSync(NWPS_CACHE_PATH) ? "" : ", no NWPS cache"})`);
+
+  const state = readJSONIfExists(path.join(ALERTS_DIR, "state.json"), { sources: {}, active: [], entries: [] });
+  const prevActive = Array.isArray(state.active) ? state.active : [];
+
+  const newEntries = [];
+  const active = [];
+  const sources = { ...(state.sources || {}) };
+  for (const fc of forecasts) {
+    const diff = diffSource(fc, prevActive.filter(a => a.source === fc.source), T, station, nowMs);
+    active.push(...diff.active);
+    newEntries.push(...diff.entries);
+    sources[fc.source] = { key: fc.key, issued: fc.issued, points: fc.points.length };
+    console.log(`${fc.label} (${fc.key || "unkeyed"}): ${diff.active.length} active, ${diff.entries.length} new entr${diff.entries.length === 1 ? "y" : "ies"}`);
+  }
+  // alerts of a source that was not read this run (e.g. NWPS cache removed) are kept as-is
+  for (const a of prevActive) {
+    if (!forecasts.some(fc => fc.source === a.source)) active.push(a);
+  }
+  active.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+  const entries = [...newEntries.reverse(), ...(state.entries || [])].slice(0, ALERT_HISTORY_MAX);
+  const payloads = newEntries.map(webhookPayload);
+  const prevPending = Array.isArray(state.pending) ? state.pending : [];
+  const pending = hasFlag("--post") ? await postWebhooks(payloads, prevPending) : prevPending;
+  const next = { sources, active, entries, pending };
+
+  // No new entry, the same alerts (a new forecast cycle alone is not a change) and nothing
+  // delivered -> leave every file untouched (no commit, no re-alert)
+  const alertsOf = list => JSON.stringify(list.map(({ forecast_key, ...a }) => a));
+  if (!newEntries.length && alertsOf(active) === alertsOf(prevActive) && JSON.stringify(pending) === JSON.stringify(prevPending)) {
+    console.log("No alert changes.");
+    return;
+  }
+
+  const thresholds = { datum: ALERT_DATUM, datum_table_version: datums.version };
+  for (const [k, v] of Object.entries(T)) thresholds[k] = round2(v);
+
+  writeFile("state.json", JSON.stringify({ ...next, updated_utc: nowISO }, null, 2) + "\n");
+  writeFile("alerts.json", JSON.stringify({
+    generated_utc: nowISO,
+    station: { id: station.id, name: station.name, noaaStation: station.noaaStation },
+    datum: ALERT_DATUM,
+    thresholds,
+    horizon_hours: ALERT_HORIZON_HOURS,
+    sources,
+    active,
+    entries
+  }, null, 2) + "\n");
+  writeFile("feed.atom", atomFeed(entries, station, entries[0]?.created_utc || nowISO));
+
+  if (newEntries.length) {
+    writeFile("webhook.json", JSON.stringify({ generated_utc: nowISO, payloads }, null, 2) + "\n");
+    for (const e of newEntries) console.log(`  ${e.kind.padEnd(9)} ${e.title}`);
+  }
+  if (pending.length) console.log(`Webhook deliveries pending: ${pending.length}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * iCalendar feed of flood tides (data/flood_calendar.ics)
+ *
+ *  - Forecast windows: the active PETSS flood segments in data/alerts/state.json (written by
+ *    tools/update_flood_alerts.js, which builds them like the dashboard's 48h flood outlook).
+ *    UID = the alert id, which stays with the same flood as later forecast cycles shift it.
+ *  - Observed flood tides: high-tide events of the last CAL_OBSERVED_DAYS days in the station's peaks
+ *    cache with type Minor/Moderate/Major. UID = the predicted crest time, which never changes.
+ *    Events run from the minor up-crossing to the down-crossing when the cache has them
+ *    (event.above.minor), otherwise CAL_DEFAULT_MINUTES centered on the observed peak.
+ *
+ * Calendar apps replace an event whose UID they already have when its SEQUENCE goes up, so
+ * subscribers see moved or upgraded forecasts update in place and cancelled ones disappear. Each
+ * event's content is compared with the same UID in the previous data/flood_calendar.ics: unchanged
+ * events keep their SEQUENCE, DTSTAMP and LAST-MODIFIED; changed ones get SEQUENCE + 1 and
+ * DTSTAMP = LAST-MODIFIED = the run time (new ones SEQUENCE 0). The file therefore only changes
+ * when the events do.
+ *
+ * Usage:
+ *   node tools/update_flood_calendar.js [--station=bivalve] [--days=90] [--now=ISO]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadDatumTable } = require("./lib/datums");
+
+// -------------------------
+// Config
+// -------------------------
+const ROOT = path.join(__dirname, "..");
+const STATIONS_PATH = path.join(ROOT, "data", "stations.json");
+const ALERT_STATE_PATH = path.join(ROOT, "data", "alerts", "state.json");
+const OUT_PATH = path.join(ROOT, "data", "flood_calendar.ics");
+
+const CAL_FORECAST_SOURCE = "petss";   // the forecast the dashboard plots
+const CAL_OBSERVED_DAYS = 90;
+const CAL_DEFAULT_MINUTES = 60;
+const FLOOD_TYPES = ["Minor", "Moderate", "Major"];
+
+const TZ = "Etc/GMT+5"; // EST, like the dashboard
+const fmtEST = new Intl.DateTimeFormat("en-US", { timeZone: TZ, month: "short", day: "numeric", hour: "numeric", minute: "2-digit", hour12: true });
+
+// -------------------------
+// Helpers
+// -------------------------
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function loadJSON(p) {
+  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function selectStation() {
+  const reg = loadJSON(STATIONS_PATH);
+  const stations = Array.isArray(reg?.stations) ? reg.stations : [];
+  const want = parseArg("--station") || reg.default;
+  const st = stations.find(s => s.id === want || s.usgsSite === want);
+  if (!st) die(`Station "${want}" not found in ${STATIONS_PATH}`);
+  return st;
+}
+
+function fmtTime(iso) {
+  return `${fmtEST.format(new Date(iso))} EST`;
+}
+
+// -------------------------
+// iCalendar text (RFC 5545)
+// -------------------------
+function icsDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, ""); // 20260223T060000Z
+}
+
+function icsEscape(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Fold content lines at 75 octets (continuation lines start with a space)
+function icsFold(line) {
+  const out = [];
+  let cur = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch, "utf8") > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function vevent(ev) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:${ev.uid}`,
+    `DTSTAMP:${icsDate(ev.changed)}`,
+    `LAST-MODIFIED:${icsDate(ev.changed)}`,
+    `SEQUENCE:${ev.sequence}`,
+    `DTSTART:${icsDate(ev.start)}`,
+    `DTEND:${icsDate(ev.end)}`,
+    `SUMMARY:${icsEscape(ev.summary)}`,
+    `DESCRIPTION:${icsEscape(ev.description)}`,
+    `CATEGORIES:${ev.categories.map(icsEscape).join(",")}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT"
+  ];
+}
+
+// An event's lines without the change-tracking properties, for comparing runs
+function veventContent(lines) {
+  return lines.filter(l => !/^(DTSTAMP|LAST-MODIFIED|SEQUENCE)[:;]/.test(l)).join("\n");
+}
+
+// UID -> { content, sequence, changed } of the events in a calendar written by this tool
+// (events without LAST-MODIFIED predate change tracking and count as new)
+function readPreviousEvents(text) {
+  const out = new Map();
+  let cur = null;
+  for (const line of text.replace(/\r\n[ \t]/g, "").split(/\r?\n/)) {
+    if (line === "BEGIN:VEVENT") {
+      cur = [];
+    } else if (line === "END:VEVENT" && cur) {
+      const prop = name => cur.find(l => l.startsWith(name + ":"))?.slice(name.length + 1);
+      const changed = (prop("LAST-MODIFIED") || "").replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, "$1-$2-$3T$4:$5:$6Z");
+      const sequence = Number(prop("SEQUENCE"));
+      if (prop("UID") && Number.isFinite(Date.parse(changed)) && Number.isInteger(sequence)) {
+        out.set(prop("UID"), { content: veventContent(["BEGIN:VEVENT", ...cur, "END:VEVENT"]), sequence, changed });
+      }
+      cur = null;
+    } else if (cur) {
+      cur.push(line);
+    }
+  }
+  return out;
+}
+
+// Sets ev.sequence / ev.changed: kept when the event is as before, bumped to nowISO when it changed
+function trackChanges(events, prevEvents, nowISO) {
+  let changed = 0;
+  for (const ev of events) {
+    const old = prevEvents.get(ev.uid);
+    if (old && old.content === veventContent(vevent({ ...ev, sequence: 0, changed: nowISO }))) {
+      ev.sequence = old.sequence;
+      ev.changed = old.changed;
+    } else {
+      ev.sequence = old ? old.sequence + 1 : 0;
+      ev.changed = nowISO;
+      changed++;
+    }
+  }
+  return changed;
+}
+
+function calendarText(station, events) {
+  const name = `${station.name || station.id} flood tides`;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${station.id} flood dashboard//flood calendar//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(name)}`,
+    "X-PUBLISHED-TTL:PT3H",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT3H",
+    ...events.flatMap(vevent),
+    "END:VCALENDAR"
+  ];
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+// -------------------------
+// Events
+// -------------------------
+function forecastEvents(station, datums) {
+  if (!fs.existsSync(ALERT_STATE_PATH)) {
+    console.log(`No ${path.relative(ROOT, ALERT_STATE_PATH)} yet (run tools/update_flood_alerts.js); observed tides only.`);
+    return [];
+  }
+  const state = loadJSON(ALERT_STATE_PATH);
+  const active = (state.active || []).filter(a => a.source === CAL_FORECAST_SOURCE);
+
+  return active.map(a => {
+    const navd = datums ? datums.convert(a.peak_ft, "MLLW", "NAVD88") : null;
+    const end = Date.parse(a.end) > Date.parse(a.start) ? a.end : new Date(Date.parse(a.start) + CAL_DEFAULT_MINUTES * 60000).toISOString();
+    return {
+      uid: `${a.id}@${station.id}.flood-forecast`,
+      start: a.start,
+      end,
+      summary: `Forecast ${a.stage.toLowerCase()} flood tide · ${station.name || station.id}`,
+      description: [
+        `Stage: ${a.stage} (forecast)`,
+        `Peak: ${a.peak_ft.toFixed(2)} ft MLLW${Number.isFinite(navd) ? ` (${navd.toFixed(2)} ft NAVD88)` : ""} around ${fmtTime(a.peak_t)}`,
+        `Above minor: ${fmtTime(a.start)} → ${fmtTime(a.end)}`,
+        `Source: NOAA/PETSS`
+      ].join("\n"),
+      categories: ["Flood forecast", a.stage]
+    };
+  });
+}
+
+function loadRecentEvents(station, sinceMs, nowMs) {
+  const dir = path.join(ROOT, station.output);
+  const manifest = loadJSON(path.join(dir, "manifest.json"));
+  const y0 = new Date(sinceMs).getUTCFullYear(), y1 = new Date(nowMs).getUTCFullYear();
+  const events = [];
+  for (const [y, info] of Object.entries(manifest.years || {})) {
+    if (+y < y0 || +y > y1) continue;
+    events.push(...(loadJSON(path.join(dir, info.file)).events || []));
+  }
+  return events;
+}
+
+function observedEvents(station, datums, days, nowMs) {
+  const sinceMs = nowMs - days * 86400000;
+  return loadRecentEvents(station, sinceMs, nowMs)
+    .filter(e => e.kind !== "CrestLow" && FLOOD_TYPES.includes(e.type))
+    .filter(e => { const ms = Date.parse(e.t); return ms >= sinceMs && ms <= nowMs; })
+    .map(e => {
+      const run = e.above?.minor;
+      const half = CAL_DEFAULT_MINUTES * 30000;
+      const start = run?.up || new Date(Date.parse(e.t) - half).toISOString();
+      const end = run?.down || new Date(Date.parse(e.t) + half).toISOString();
+      const mllw = datums ? datums.convert(e.ft, "NAVD88", "MLLW") : null;
+      const desc = [
+        `Stage: ${e.type} (observed)`,
+        `Peak: ${e.ft.toFixed(2)} ft NAVD88${Number.isFinite(mllw) ? ` (${mllw.toFixed(2)} ft MLLW)` : ""} at ${fmtTime(e.t)}`
+      ];
+      if (run) desc.push(`Above minor: ${fmtTime(run.up)} → ${fmtTime(run.down)} (${run.hours.toFixed(1)} h${run.partial ? ", at least" : ""})`);
+      desc.push(`Predicted high tide: ${fmtTime(e.crest)}`, `Source: USGS ${station.usgsSite}`);
+      return {
+        uid: `${icsDate(e.crest)}@${station.id}.flood-observed`,
+        start,
+        end,
+        summary: `Observed ${e.type.toLowerCase()} flood tide · ${station.name || station.id}`,
+        description: desc.join("\n"),
+        categories: ["Flood observed", e.type]
+      };
+    });
+}
+
+// -------------------------
+// Main
+// -------------------------
+function main() {
+  const station = selectStation();
+  const nowArg = parseArg("--now");
+  const nowMs = nowArg ? Date.parse(nowArg) : Date.now();
+  if (!Number.isFinite(nowMs)) die(`Bad --now=${nowArg}`);
+  const days = Number(parseArg("--days") || CAL_OBSERVED_DAYS);
+  if (!Number.isFinite(days) || days < 0) die(`Bad --days`);
+
+  let datums = null;
+  try {
+    datums = loadDatumTable(station.noaaStation);
+  } catch (err) {
+    console.warn(`WARN: no datum table (${err.message || err}); descriptions show one datum only`);
+  }
+
+  const fc = forecastEvents(station, datums);
+  const obs = observedEvents(station, datums, days, nowMs);
+  const events = [...obs, ...fc].sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+  const prev = fs.existsSync(OUT_PATH) ? fs.readFileSync(OUT_PATH, "utf8") : null;
+  const changed = trackChanges(events, readPreviousEvents(prev || ""), new Date(nowMs).toISOString());
+  const text = calendarText(station, events);
+  if (prev === text) {
+    console.log(`Calendar unchanged (${fc.length} forecast, ${obs.length} observed).`);
+    return;
+  }
+  fs.writeFileSync(OUT_PATH, text, "utf8");
+  console.log(`Wrote ${path.relative(ROOT, OUT_PATH)}: ${fc.length} forecast, ${obs.length} observed (last ${days} days), ${changed} new or changed`);
+}
+
+main();
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Recent wind and air pressure for the dashboard's water-level chart
+ *
+ * Writes data/met.json from the CO-OPS wind and air_pressure products (hourly) of the station's
+ * metStation (data/stations.json; a nearby station with sensors), else its noaaStation:
+ *   { generated_utc, station, name, hours, units: { wind: "kt", pressure: "mb" },
+ *     wind: [{ t, kt, deg, dir, gust }], pressure: [{ t, mb }] }
+ * Direction is where the wind blows from. The dashboard overlays both on tsChart (secondary axes).
+ * Flood events in the peaks cache carry their own wind/pressure summary (tools/update_peaks_navd88.js).
+ *
+ * Usage:
+ *   node tools/update_met.js [--station=bivalve] [--hours=48]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { fetchMet, metStationOf } = require("./lib/coops_met");
+
+// -------------------------
+// Config
+// -------------------------
+const ROOT = path.join(__dirname, "..");
+const STATIONS_PATH = path.join(ROOT, "data", "stations.json");
+const OUT_PATH = path.join(ROOT, "data", "met.json");
+
+const DEFAULT_HOURS = 48; // the chart shows the last 24h of observations; keep a margin
+
+// -------------------------
+// Helpers
+// -------------------------
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function loadJSON(p) {
+  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function selectStation() {
+  const reg = loadJSON(STATIONS_PATH);
+  const stations = Array.isArray(reg?.stations) ? reg.stations : [];
+  const want = parseArg("--station") || reg.default;
+  const st = stations.find(s => s.id === want || s.usgsSite === want);
+  if (!st) die(`Station "${want}" not found in ${STATIONS_PATH}`);
+  return st;
+}
+
+// -------------------------
+// Main
+// -------------------------
+async function main() {
+  const station = selectStation();
+  const metId = metStationOf(station);
+  if (!metId) die(`Station ${station.id} has neither metStation nor noaaStation in ${STATIONS_PATH}`);
+
+  const hours = Number(parseArg("--hours") || DEFAULT_HOURS);
+  if (!Number.isFinite(hours) || hours <= 0) die("Bad --hours");
+
+  const endMs = Date.now();
+  const { wind, pressure } = await fetchMet({
+    station: metId,
+    startISO: new Date(endMs - hours * 3600 * 1000).toISOString(),
+    endISO: new Date(endMs).toISOString()
+  });
+
+  const doc = {
+    generated_utc: new Date(endMs).toISOString(),
+    station: metId,
+    name: station.metStation?.name || station.name || null,
+    hours,
+    units: { wind: "kt", pressure: "mb" },
+    wind,
+    pressure
+  };
+
+  const prev = fs.existsSync(OUT_PATH) ? loadJSON(OUT_PATH) : null;
+  const strip = d => JSON.stringify({ ...d, generated_utc: null });
+  if (prev && strip(prev) === strip(doc)) {
+    console.log("Met data unchanged.");
+    return;
+  }
+
+  fs.writeFileSync(OUT_PATH, JSON.stringify(doc, null, 2) + "\n", "utf8");
+  console.log(`Wrote ${path.relative(ROOT, OUT_PATH)} (CO-OPS ${metId}: ${wind.length} wind, ${pressure.length} pressure)`);
+}
+
+main().catch(err => die(err.stack || String(err)));
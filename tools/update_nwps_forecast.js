@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Cached NWPS forecast for the flood alerts
+ *
+ * Fetches the NWS National Water Prediction Service stageflow product for the station's nwpsGauge
+ * (data/stations.json, e.g. BVVN4):
+ *   https://api.water.noaa.gov/nwps/v1/gauges/<gauge>/stageflow
+ * and writes data/nwps_forecast.json, the file tools/update_flood_alerts.js reads:
+ *   { gauge, source_url, issuedTime, forecast: { issuedTime, primaryName, primaryUnits, data: [{ validTime, primary }] } }
+ * Only the forecast half is kept (the observed half changes every few minutes), and the file is
+ * rewritten only when the forecast itself changes, so re-runs between NWS issuances commit nothing.
+ *
+ * Usage:
+ *   node tools/update_nwps_forecast.js [--station=bivalve]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getJSON } = require("./lib/http");
+
+// -------------------------
+// Config
+// -------------------------
+const ROOT = path.join(__dirname, "..");
+const STATIONS_PATH = path.join(ROOT, "data", "stations.json");
+const OUT_PATH = path.join(ROOT, "data", "nwps_forecast.json");
+const NWPS_API = "https://api.water.noaa.gov/nwps/v1/gauges";
+
+// -------------------------
+// Helpers
+// -------------------------
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function loadJSON(p) {
+  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function selectStation() {
+  const reg = loadJSON(STATIONS_PATH);
+  const stations = Array.isArray(reg?.stations) ? reg.stations : [];
+  const want = parseArg("--station") || reg.default;
+  const st = stations.find(s => s.id === want || s.usgsSite === want);
+  if (!st) die(`Station "${want}" not found in ${STATIONS_PATH}`);
+  return st;
+}
+
+// -------------------------
+// Main
+// -------------------------
+async function main() {
+  const station = selectStation();
+  const gauge = station.nwpsGauge;
+  if (!gauge) die(`Station ${station.id} has no nwpsGauge in ${STATIONS_PATH}`);
+
+  const url = `${NWPS_API}/${encodeURIComponent(gauge)}/stageflow`;
+  const json = await getJSON(url, { label: `NWPS stageflow ${gauge}` });
+
+  const fc = json?.forecast || {};
+  const data = (Array.isArray(fc.data) ? fc.data : [])
+    .map(d => ({ validTime: d.validTime || d.valid_time, primary: d.primary }))
+    .filter(d => d.validTime && Number.isFinite(Number(d.primary)));
+  const issuedTime = fc.issuedTime || json.issuedTime || null;
+  if (!data.length) die(`NWPS ${gauge} returned no forecast points; keeping ${path.relative(ROOT, OUT_PATH)}`);
+
+  const doc = {
+    gauge,
+    source_url: url,
+    issuedTime,
+    forecast: {
+      issuedTime,
+      primaryName: fc.primaryName || null,
+      primaryUnits: fc.primaryUnits || null,
+      data
+    }
+  };
+
+  const prev = fs.existsSync(OUT_PATH) ? loadJSON(OUT_PATH) : null;
+  if (prev && JSON.stringify(prev) === JSON.stringify(doc)) {
+    console.log(`NWPS ${gauge} forecast unchanged (issued ${issuedTime || "?"}).`);
+    return;
+  }
+
+  fs.writeFileSync(OUT_PATH, JSON.stringify(doc, null, 2) + "\n", "utf8");
+  console.log(`Wrote ${path.relative(ROOT, OUT_PATH)} (NWPS ${gauge}, issued ${issuedTime || "?"}, ${data.length} points)`);
+}
+
+main().catch(err => die(err.stack || String(err)));
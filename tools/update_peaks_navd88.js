@@ -1,37 +1,140 @@
 #!/usr/bin/env node
 /**
- * Crest-anchored NAVD88 "high tide events" builder for USGS 01412150 (param 72279)
- * - Uses NOAA CO-OPS predicted HIGH tide crest times (interval=hilo, type=H) as the "tide clock"
+ * Crest-anchored NAVD88 "high/low tide events" builder for the gauges in data/stations.json
+ * - Uses NOAA CO-OPS predicted HIGH/LOW tide crest times (interval=hilo, type=H/L) as the "tide clock"
  * - For each predicted HIGH tide crest:
  *    - Search observed USGS IV points within ±2 hours and take the MAX
  *    - BUT: if there are ZERO observed points within ±1 hour of the crest, SKIP that crest entirely
+ * - For each predicted LOW tide crest: same windows, but take the MIN (kind "CrestLow", no flood type)
+ * - Each high is paired with the next low to record the tidal range (rangeFt, rangeLowCrest)
  *
- * Writes to: data/peaks_navd88.json
+ * The detection itself (crest matching, classification, time above thresholds, range pairing and
+ * the crest-keyed merge) is tools/lib/crest_events.mjs, which the dashboard loads for its live events.
+ *
+ * Each station in the registry names its USGS site/parameter, NOAA tide-clock station,
+ * NAVD88 thresholds and output cache directory (Bivalve writes to data/peaks_navd88/).
+ *
+ * The cache is sharded by UTC year of the event time:
+ *   <output>/manifest.json   metadata (method, shardVersion, lastProcessedISO, thresholds) plus
+ *                            per-year stats: event counts, highs/lows max+min, flood counts/hours
+ *                            (also by month), records (the year's highest storms and each
+ *                            month's highest tide) and storm episodes (runs of flood tides, see
+ *                            tools/lib/episodes.mjs; counted in the year they start), so the dashboard
+ *                            can draw summaries and its record tables without shards
+ *   <output>/<year>.json     { year, method, events } — only years whose events changed are rewritten
+ * A legacy single-file cache (<output>.json) is split into shards on the next run; delete it afterwards.
+ * When METHOD changes, the stored events are carried forward by tools/lib/peaks_migrations.js;
+ * tools/maintain_peaks_cache.js validates a cache, rebuilds a date range, reclassifies and migrates.
+ *
+ * Events stay in NAVD88. The manifest's datumTable records the station datum table
+ * (data/datums/<noaaStation>.json) version and the offsets to add to NAVD88 for each datum.
  *
  * Modes:
  *   node tools/update_peaks_navd88.js
- *     -> incremental update from lastProcessedISO (with buffer) to now
+ *     -> incremental update of the registry's default station from lastProcessedISO (with buffer) to now
+ *
+ *   node tools/update_peaks_navd88.js --station=bivalve
+ *     -> same, for one station by registry id (or USGS site number)
+ *
+ *   node tools/update_peaks_navd88.js --all
+ *     -> same, for every station in the registry
  *
  *   node tools/update_peaks_navd88.js --backfill-year=2000
  *     -> backfill exactly that calendar year (UTC)
  *
  *   node tools/update_peaks_navd88.js --backfill-from=2000 --backfill-to=2026
  *     -> backfill inclusive year range (UTC)
+ *
+ *   node tools/update_peaks_navd88.js --refresh-provisional [--refresh-max-months=6]
+ *     -> re-pull USGS data around events whose winning point was provisional ("P") and replace
+ *        them once USGS has approved the data (no NOAA calls; the stored crest times are reused).
+ *        Months are taken least recently checked first (manifest provisionalCheckedISO, month ->
+ *        time of the last check), so months USGS leaves provisional do not starve the newer ones.
+ *
+ *   node tools/update_peaks_navd88.js --backfill-predictions
+ *     -> fetch the NOAA predicted crest heights (pred) for events stored before they were kept
+ *        (no USGS calls)
+ *
+ *   node tools/update_peaks_navd88.js --backfill-met
+ *     -> fetch wind/pressure (met) for flood tides stored without it (no USGS calls)
+ *
+ * Backfill/refresh flags combine with --station / --all.
+ *
+ * USGS data comes in calendar-month requests (tools/lib/usgs_iv.js). The chunks of a run that fails
+ * stay in .cache/usgs_iv/<station>/ and are reused when the range is run again, so a long backfill
+ * resumes instead of starting over. Requests go through tools/lib/http.js (timeouts, retries;
+ * HTTP_RECORD=<dir> / HTTP_REPLAY=<dir> record the responses or run offline from them).
+ *
+ * Each event also records data quality for the dashboard's low-confidence marking:
+ *   qualifiers  USGS qualifiers of the winning point (P provisional, A approved, e estimated, Eqp, Ice, …)
+ *   nObs        number of observed points within ±2h of the crest
+ *   maxGapMin   largest stretch (minutes) without an observation inside the ±2h window
+ *
+ * Highs that reach a flood threshold also record how long the water stayed above it:
+ *   above: { minor|moderate|major: { up, down, hours, partial? } }
+ *   up/down are the interpolated crossing times (UTC ISO); the run is followed outward from the
+ *   window max through the 15-min series and never bridged across a data gap (> 30 min) or past
+ *   ±6h. partial=true means a gap/limit ended the run, so hours is a lower bound.
+ *
+ * Tide context, for telling astronomically driven floods from surge-driven ones (tools/lib/astro.mjs):
+ *   pred   NOAA predicted crest height, converted MLLW -> NAVD88 with the datum table
+ *   resid  surge residual: observed minus predicted crest height (ft)
+ *   astro  { phase, decl, dist_km, apsis, apsis_h, tag } at the predicted crest, computed locally:
+ *          lunar phase (0 new, 0.5 full), declination (deg), Earth–Moon distance, nearest
+ *          perigee/apogee and hours from it; tag "king" (perigean spring), "spring" or null
+ * The manifest's per-year floods.cause / byMonthCause split flood tides into astronomical,
+ * surge-driven and unknown (floodCause(): by pred; events stored without one are unknown until
+ * --backfill-predictions fills it in).
+ *
+ * Event types and the manifest's floods/episodes use today's thresholds (thresholdsNAVD88). NWS
+ * revises the flood categories; a station's thresholdsHistoryNAVD88 ([{ from, minorLow, moderateLow,
+ * majorLow }], from = UTC day the set took effect, null for the earliest; the last set is today's)
+ * is copied to the manifest, and a year in which an earlier set was in force also gets
+ *   atTime: { floods, episodes }   the same counts by the thresholds of the day (floods.hours is
+ *                                  only kept on today's basis: the crossings are timed for it)
+ * so the dashboard can count either way.
+ *
+ * Flood tides (Minor and up) also record the weather behind them, from the CO-OPS wind and
+ * air_pressure products of the station's metStation (manifest metStation; tools/lib/coops_met.js):
+ *   met: { wind_kt, wind_deg, wind_dir, gust_kt, pres_mb }
+ *   strongest hourly wind (direction it blows from) and highest gust from 12h before to 2h after the
+ *   crest, and the lowest pressure in the same window. Added once the window has passed and only
+ *   when CO-OPS returned data for it; a failed request or an empty window leaves it out for the
+ *   next run (or --backfill-met, which carries on past a failing month).
  */
 
 const fs = require("fs");
 const path = require("path");
+const { loadDatumTable } = require("./lib/datums");
+const { SHARD_VERSION, MANIFEST_FILE } = require("./lib/peaks_cache");
+const { METHOD, migrateCache } = require("./lib/peaks_migrations");
+const { reclassifyEvents } = require("./lib/peaks_maintenance");
+const { getJSON } = require("./lib/http");
+const { fetchUSGSIV, clearCheckpoints } = require("./lib/usgs_iv");
+const { EPISODE_MAX_GAP_TIDES, buildEpisodes, episodeCountsByYear } = require("./lib/episodes.mjs");
+const { FLOOD_CAUSES, findApsides, astroContext, floodCause } = require("./lib/astro.mjs");
+const { MET_BEFORE_HOURS, MET_AFTER_HOURS, fetchMet, metAroundCrest, metStationOf } = require("./lib/coops_met");
+const {
+  CREST_WINDOW_HOURS,
+  roundFt,
+  convertDatumFt,
+  parseHiloPredictions,
+  buildCrestEvents,
+  buildCrestAnchoredEvents,
+  pairTidalRanges,
+  mergeByCrest,
+  classifyNAVD,
+  thresholdsHistory,
+  thresholdsAt
+} = require("./lib/crest_events.mjs");
 
 // -------------------------
 // Config (matches your dashboard)
 // -------------------------
-const CACHE_PATH = path.join(__dirname, "..", "data", "peaks_navd88.json");
-
-const SITE = "01412150";
-const PARAM = "72279";
-
-// NOAA tide-clock (predicted highs/lows) — used ONLY for crest times
-const NOAA_STATION = "8535055"; // , Maurice River, NJ (as in your dashboard)
+const ROOT = path.join(__dirname, "..");
+const STATIONS_PATH = path.join(ROOT, "data", "stations.json");
+// Fetched USGS chunks of an unfinished run (tools/lib/usgs_iv.js), per station; not committed
+const CHECKPOINT_ROOT = path.join(ROOT, ".cache", "usgs_iv");
 
 // Keep this in cache for transparency; we still keep your 5-hour constant in JSON,
 // but we are no longer using declustering for cache building under this method.
@@ -40,23 +143,26 @@ const PEAK_MIN_SEP_MINUTES = 300;
 // Incremental overlap so boundary crests don't get missed
 const BUFFER_HOURS = 12;
 
-// Crest anchoring rules (your request)
-const CREST_WINDOW_HOURS = 2;      // search max within ±2h of predicted crest
-const REQUIRE_WITHIN_HOURS = 1;    // if NO obs points within ±1h, skip that crest entirely
+// Per-year records in the manifest: highest RECORD_TOP_N storms (highs closer than
+// RECORD_STORM_HOURS to a higher one belong to the same storm and are skipped)
+const RECORD_TOP_N = 10;
+const RECORD_STORM_HOURS = 36;
 
-// Method/version tag so you can cleanly rebuild without mixing old scheme
-const METHOD = "crest_anchored_highs_v1";
+// Provisional refresh: USGS approval lags months, so only recheck events older than this
+const REFRESH_MIN_AGE_DAYS = 30;
+const REFRESH_MAX_MONTHS_DEFAULT = 6;  // months of USGS data re-pulled per run
 
 // -------------------------
 // Helpers
 // -------------------------
+// Fatal for the whole run: only outside the per-station loop (registry, arguments' summary)
 function die(msg) {
   console.error(msg);
   process.exit(1);
 }
 
 function loadJSON(p) {
-  if (!fs.existsSync(p)) die(`Missing cache file: ${p}`);
+  if (!fs.existsSync(p)) throw new Error(`Missing file: ${p}`);
   return JSON.parse(fs.readFileSync(p, "utf8"));
 }
 
@@ -84,10 +190,6 @@ function parseArg(name) {
   return a ? a.split("=").slice(1).join("=") : null;
 }
 
-function roundFt(x) {
-  return Math.round(x * 1000) / 1000;
-}
-
 function yyyymmddUTC(d) {
   const y = d.getUTCFullYear();
   const m = String(d.getUTCMonth() + 1).padStart(2, "0");
@@ -103,56 +205,51 @@ function startOfUTCDate(d) {
   return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 0, 0, 0));
 }
 
-function parseNOAATimeToISO_UTC(t) {
-  // NOAA predictions return "YYYY-MM-DD HH:MM" (no timezone)
-  // We request time_zone=gmt so interpret as UTC and append Z.
-  // Example: "2026-01-28 14:12" -> "2026-01-28T14:12:00Z"
-  return t.replace(" ", "T") + ":00Z";
+// -------------------------
+// Station registry (data/stations.json)
+// -------------------------
+function loadStations() {
+  const reg = loadJSON(STATIONS_PATH);
+  const stations = Array.isArray(reg?.stations) ? reg.stations : [];
+  if (!stations.length) die(`No stations listed in ${STATIONS_PATH}`);
+  if (stations.some(st => !st?.id)) die(`A station in ${STATIONS_PATH} has no "id".`);
+  return { defaultId: reg.default || stations[0].id, stations };
 }
 
-function classifyNAVD(ft, T) {
-  let type = "Below";
-  if (ft >= T.majorLow) type = "Major";
-  else if (ft >= T.moderateLow) type = "Moderate";
-  else if (ft >= T.minorLow) type = "Minor";
-  return type;
+// Per station, so under --all a misconfigured entry fails alone
+function checkStation(st) {
+  for (const k of ["usgsSite", "parameterCd", "noaaStation", "output"]) {
+    if (!st[k]) throw new Error(`Station ${st.id} in ${STATIONS_PATH} is missing "${k}".`);
+  }
 }
 
-// -------------------------
-// USGS IV fetch (15-min-ish)
-// -------------------------
-async function fetchUSGSIV({ startISO, endISO }) {
-  const url =
-    "https://waterservices.usgs.gov/nwis/iv/?" +
-    new URLSearchParams({
-      format: "json",
-      sites: SITE,
-      parameterCd: PARAM,
-      startDT: startISO,
-      endDT: endISO,
-      siteStatus: "all",
-      agencyCd: "USGS"
-    }).toString();
-
-  const res = await fetch(url, { headers: { "User-Agent": "peaks-cache/2.0" } });
-  if (!res.ok) throw new Error(`USGS IV fetch failed: ${res.status} ${res.statusText}`);
-  const j = await res.json();
-
-  const ts = j?.value?.timeSeries?.[0];
-  const vals = ts?.values?.[0]?.value || [];
-
-  const series = vals
-    .map(v => ({ t: v.dateTime, ft: Number(v.value) }))
-    .filter(p => p.t && Number.isFinite(p.ft));
-
-  series.sort((a, b) => new Date(a.t) - new Date(b.t));
-  return series;
+function selectStations({ defaultId, stations }) {
+  if (process.argv.includes("--all")) return stations;
+
+  const want = parseArg("--station") || defaultId;
+  const st = stations.find(s => s.id === want || s.usgsSite === want);
+  if (!st) die(`Unknown --station=${want}. Known: ${stations.map(s => s.id).join(", ")}`);
+  return [st];
+}
+
+function emptyCache(station) {
+  return {
+    site: station.usgsSite,
+    parameterCd: station.parameterCd,
+    datum: "NAVD88",
+    peakMinSepMinutes: PEAK_MIN_SEP_MINUTES,
+    thresholdsNAVD88: station.thresholdsNAVD88 || null,
+    thresholdsHistoryNAVD88: station.thresholdsHistoryNAVD88 || null,
+    method: METHOD,
+    lastProcessedISO: null,
+    events: []
+  };
 }
 
 // -------------------------
-// NOAA "hilo" predictions fetch (chunked)
+// NOAA "hilo" predictions fetch (chunked) -> [{ t, type: "H" | "L", v (ft MLLW) }]
 // -------------------------
-async function fetchNOAAHiloPredictionsHighs({ startISO, endISO }) {
+async function fetchNOAAHiloPredictions({ station, startISO, endISO }) {
   const start = new Date(startISO);
   const end = new Date(endISO);
   if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
@@ -160,7 +257,7 @@ async function fetchNOAAHiloPredictionsHighs({ startISO, endISO }) {
   }
 
   // NOAA is generally happier with ~31-day windows. We'll chunk 30 days.
-  const highs = [];
+  const crests = [];
   let cur = startOfUTCDate(start);
   const endDay = startOfUTCDate(end);
 
@@ -174,124 +271,454 @@ async function fetchNOAAHiloPredictionsHighs({ startISO, endISO }) {
         product: "predictions",
         application: "peaks-cache",
         format: "json",
-        station: NOAA_STATION,
+        station,
         time_zone: "gmt",
         units: "english",
         interval: "hilo",
-        datum: "MLLW", // required by NOAA; crest TIMES are what we care about
+        datum: "MLLW", // crest times are the tide clock; heights are converted to NAVD88 by the caller
         begin_date: yyyymmddUTC(cur),
         end_date: yyyymmddUTC(actualEnd)
       }).toString();
 
-    const res = await fetch(url, { headers: { "User-Agent": "peaks-cache/2.0" } });
-    if (!res.ok) throw new Error(`NOAA predictions fetch failed: ${res.status} ${res.statusText}`);
-
-    const j = await res.json();
-    const arr = Array.isArray(j?.predictions) ? j.predictions : [];
-
-    for (const p of arr) {
-      if (p?.type !== "H") continue; // highs only
-      const iso = parseNOAATimeToISO_UTC(p.t);
-      const ms = new Date(iso).getTime();
-      if (!Number.isFinite(ms)) continue;
-      highs.push({ t: new Date(ms).toISOString() });
-    }
+    crests.push(...parseHiloPredictions(await getJSON(url, { label: "NOAA predictions fetch" })));
 
     cur = addDaysUTC(actualEnd, 1);
   }
 
-  highs.sort((a, b) => new Date(a.t) - new Date(b.t));
-  return highs;
+  crests.sort((a, b) => new Date(a.t) - new Date(b.t));
+  return crests;
+}
+
+// -------------------------
+// Crest-anchored events (tools/lib/crest_events.mjs, shared with the dashboard)
+// -------------------------
+// offsetsFromNAVD88 -> datum values on the NAVD88 reference, for convertDatumFt (null without a table)
+function datumValuesOf(cache) {
+  const off = cache.datumTable?.offsetsFromNAVD88;
+  if (!Number.isFinite(off?.MLLW)) return null;
+  const values = { NAVD88: 0 };
+  for (const [name, v] of Object.entries(off)) if (Number.isFinite(v)) values[name] = -v;
+  return values;
+}
+
+function mergeEvents(cache, built, opts) {
+  const { events, added, updated } = mergeByCrest(cache.events, built, opts);
+  cache.events = events;
+  return { added, updated };
+}
+
+// Builds highs/lows for a fetched range, merges them by crest time and re-pairs highs with their next low
+function addCrestEvents(cache, { series, predicted }) {
+  const { highs, lows } = buildCrestEvents({
+    series,
+    predicted,
+    thresholdsNAVD88: cache.thresholdsNAVD88,
+    datumValues: datumValuesOf(cache)
+  });
+  const { added, updated } = mergeEvents(cache, [...highs, ...lows]);
+  const paired = pairTidalRanges(cache.events);
+  return { highs, lows, added, updated, paired };
 }
 
 // -------------------------
-// Crest-anchored event builder
+// Provisional -> approved refresh
 // -------------------------
-function buildCrestAnchoredHighEvents({ series, predictedHighs, thresholdsNAVD88 }) {
-  if (!Array.isArray(series) || !series.length) return [];
-  if (!Array.isArray(predictedHighs) || !predictedHighs.length) return [];
+function isProvisional(e) {
+  return Array.isArray(e?.qualifiers) && e.qualifiers.includes("P");
+}
 
-  const w2 = CREST_WINDOW_HOURS * 3600 * 1000;
-  const w1 = REQUIRE_WITHIN_HOURS * 3600 * 1000;
+async function refreshProvisional(station, cache) {
+  const maxMonths = Number(parseArg("--refresh-max-months") || REFRESH_MAX_MONTHS_DEFAULT);
+  if (!Number.isFinite(maxMonths) || maxMonths < 1) throw new Error("Invalid --refresh-max-months=N");
 
-  const pts = [...series].sort((a, b) => new Date(a.t) - new Date(b.t));
+  const cutoffMs = Date.now() - REFRESH_MIN_AGE_DAYS * 86400 * 1000;
+  const candidates = (cache.events || []).filter(e => {
+    const ms = new Date(e?.crest).getTime();
+    return isProvisional(e) && Number.isFinite(ms) && ms < cutoffMs;
+  });
 
-  const out = [];
-  let left = 0;
+  // Group by crest month (UTC) so each USGS request stays small
+  const byMonth = new Map();
+  for (const e of candidates) {
+    const key = String(e.crest).slice(0, 7);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(e);
+  }
 
-  for (const h of predictedHighs) {
-    const crestISO = h.t;
-    const crestMs = new Date(crestISO).getTime();
-    if (!Number.isFinite(crestMs)) continue;
+  // Least recently checked first (never checked before any), oldest month on ties
+  const checked = {};
+  for (const m of byMonth.keys()) if (cache.provisionalCheckedISO?.[m]) checked[m] = cache.provisionalCheckedISO[m];
+  cache.provisionalCheckedISO = checked;
+  const months = Array.from(byMonth.keys())
+    .sort((a, b) => (checked[a] || "").localeCompare(checked[b] || "") || a.localeCompare(b))
+    .slice(0, maxMonths);
+
+  console.log(`Provisional events older than ${REFRESH_MIN_AGE_DAYS} days: ${candidates.length} (checking ${months.length} month(s))`);
+
+  let approved = 0;
+  let changed = 0;
+
+  for (const month of months) {
+    const events = byMonth.get(month);
+    const crestMs = events.map(e => new Date(e.crest).getTime());
+    const startISO = addHoursISO(new Date(Math.min(...crestMs)).toISOString(), -CREST_WINDOW_HOURS);
+    const endISO = addHoursISO(new Date(Math.max(...crestMs)).toISOString(), +CREST_WINDOW_HOURS);
+
+    const series = await fetchUSGSIV({
+      site: station.usgsSite,
+      parameterCd: station.parameterCd,
+      startISO,
+      endISO
+    });
 
-    // Advance left pointer to first point >= crest - 2h
-    while (left < pts.length) {
-      const tMs = new Date(pts[left].t).getTime();
-      if (!Number.isFinite(tMs) || tMs < crestMs - w2) left++;
-      else break;
+    const rebuilt = [
+      ...buildCrestAnchoredEvents({
+        series,
+        crests: events.filter(e => e.kind !== "CrestLow").map(e => ({ t: e.crest, pred: e.pred })),
+        thresholdsNAVD88: cache.thresholdsNAVD88,
+        low: false
+      }),
+      ...buildCrestAnchoredEvents({
+        series,
+        crests: events.filter(e => e.kind === "CrestLow").map(e => ({ t: e.crest, pred: e.pred })),
+        low: true
+      })
+    ].filter(e => !isProvisional(e));
+
+    const { updated } = mergeEvents(cache, rebuilt, { replace: true });
+    pairTidalRanges(cache.events);
+    approved += rebuilt.length;
+    changed += updated;
+    if (rebuilt.length === events.length) delete checked[month];
+    else checked[month] = isoNow();
+    console.log(`  ${month}: ${events.length} provisional, ${rebuilt.length} now non-provisional`);
+  }
+
+  console.log(`Events no longer provisional: ${approved} (${changed} rewritten)`);
+}
+
+// -------------------------
+// Predicted crest heights (pred) for events stored without them
+// -------------------------
+function mllwToNavd(cache) {
+  const values = datumValuesOf(cache);
+  return values ? v => convertDatumFt(v, "MLLW", "NAVD88", values) : null;
+}
+
+async function backfillPredictions(station, cache) {
+  const toNavd = mllwToNavd(cache);
+  if (!toNavd) throw new Error(`No MLLW offset in the datum table for NOAA ${station.noaaStation}; run tools/update_datums.js first.`);
+
+  const missing = (cache.events || []).filter(e => e?.crest && !Number.isFinite(e.pred));
+  const byMonth = new Map();
+  for (const e of missing) {
+    const key = String(e.crest).slice(0, 7);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(e);
+  }
+  console.log(`Events without a predicted crest height: ${missing.length} (${byMonth.size} month(s))`);
+
+  let filled = 0;
+  for (const month of Array.from(byMonth.keys()).sort()) {
+    const events = byMonth.get(month);
+    const crestMs = events.map(e => new Date(e.crest).getTime());
+    let predicted;
+    try {
+      predicted = await fetchNOAAHiloPredictions({
+        station: station.noaaStation,
+        startISO: new Date(Math.min(...crestMs)).toISOString(),
+        endISO: new Date(Math.max(...crestMs)).toISOString()
+      });
+    } catch (err) {
+      console.log(`  ${month}: skipped (${err.message || err}); retried next run`);
+      continue;
+    }
+    const byT = new Map(predicted.map(p => [p.t, p]));
+
+    let n = 0;
+    for (const e of events) {
+      const p = byT.get(new Date(e.crest).toISOString());
+      const pred = p && (p.type === "L") === (e.kind === "CrestLow") ? toNavd(p.v) : null;
+      if (!Number.isFinite(pred)) continue;
+      e.pred = roundFt(pred);
+      n++;
     }
+    filled += n;
+    console.log(`  ${month}: ${n}/${events.length} filled`);
+  }
+  console.log(`Predicted crest heights added: ${filled}`);
+}
 
-    let i = left;
-    let hasWithin1h = false;
-    let best = null;
+// -------------------------
+// Wind/pressure around flood tides (tools/lib/coops_met.js)
+// -------------------------
+// A met summary with no value at all (written by older runs for empty windows) counts as missing
+function hasMetData(m) {
+  return !!m && Object.values(m).some(Number.isFinite);
+}
 
-    while (i < pts.length) {
-      const tMs = new Date(pts[i].t).getTime();
-      if (!Number.isFinite(tMs)) { i++; continue; }
-      if (tMs > crestMs + w2) break;
+function needsMet(e) {
+  const ms = new Date(e?.crest).getTime();
+  return e.kind !== "CrestLow" && ["Minor", "Moderate", "Major"].includes(e.type) && !hasMetData(e.met) &&
+    Number.isFinite(ms) && ms + MET_AFTER_HOURS * 3600 * 1000 < Date.now();
+}
 
-      const dt = Math.abs(tMs - crestMs);
-      if (dt <= w1) hasWithin1h = true;
+// Fetches one window per crest month; returns the number of events given a met summary.
+// A month whose request fails is skipped (its events are retried next run).
+async function attachMet(station, cache, events) {
+  const metId = metStationOf(station);
+  const todo = events.filter(needsMet);
+  if (!metId || !todo.length) return 0;
+  cache.metStation = metId;
+
+  const byMonth = new Map();
+  for (const e of todo) {
+    const key = String(e.crest).slice(0, 7);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(e);
+  }
 
-      if (!best || pts[i].ft > best.ft) best = pts[i];
-      i++;
+  let n = 0;
+  for (const month of Array.from(byMonth.keys()).sort()) {
+    const group = byMonth.get(month);
+    const crestMs = group.map(e => new Date(e.crest).getTime());
+    let met;
+    try {
+      met = await fetchMet({
+        station: metId,
+        startISO: addHoursISO(new Date(Math.min(...crestMs)).toISOString(), -MET_BEFORE_HOURS),
+        endISO: addHoursISO(new Date(Math.max(...crestMs)).toISOString(), +MET_AFTER_HOURS)
+      });
+    } catch (err) {
+      console.log(`  ${month}: skipped (${err.message || err}); retried next run`);
+      continue;
     }
 
-    // Your rule: if we do not have ANY observed values within ±1h, do not report anything
-    if (!hasWithin1h) continue;
-    if (!best) continue;
-
-    const ft = Number(best.ft);
-    out.push({
-      t: new Date(best.t).toISOString(),     // observed time of window max
-      ft: roundFt(ft),
-      type: classifyNAVD(ft, thresholdsNAVD88),
-      crest: new Date(crestISO).toISOString(), // predicted crest time (key)
-      kind: "CrestHigh"
-    });
+    let got = 0;
+    for (let i = 0; i < group.length; i++) {
+      const m = metAroundCrest(crestMs[i], met);
+      if (!hasMetData(m)) continue; // nothing in the window: retried next run
+      group[i].met = m;
+      got++;
+    }
+    n += got;
+    console.log(`  ${month}: ${got}/${group.length} flood tide(s), ${met.wind.length} wind / ${met.pressure.length} pressure hours`);
   }
+  return n;
+}
 
-  return out;
+// -------------------------
+// Tide context: surge residual and astronomical cycle (tools/lib/astro.mjs)
+// -------------------------
+function annotateTideContext(events) {
+  const crestMs = events.map(e => new Date(e.crest || e.t).getTime()).filter(Number.isFinite);
+  if (!crestMs.length) return;
+  const apsides = findApsides(Math.min(...crestMs), Math.max(...crestMs));
+
+  for (const e of events) {
+    if (Number.isFinite(e.pred) && Number.isFinite(Number(e.ft))) e.resid = roundFt(Number(e.ft) - e.pred);
+    else delete e.resid;
+    const ms = new Date(e.crest || e.t).getTime();
+    if (Number.isFinite(ms)) e.astro = astroContext(ms, apsides);
+  }
 }
 
 // -------------------------
-// Main update logic
+// Sharded cache I/O (<output>/manifest.json + <output>/<year>.json)
 // -------------------------
-async function main() {
-  const cache = loadJSON(CACHE_PATH);
+function eventYear(e) {
+  return new Date(e.t).getUTCFullYear();
+}
 
-  // Ensure required metadata exists (you already store these)
-  cache.site = cache.site || SITE;
-  cache.parameterCd = cache.parameterCd || PARAM;
-  cache.datum = cache.datum || "NAVD88";
-  cache.peakMinSepMinutes = cache.peakMinSepMinutes || PEAK_MIN_SEP_MINUTES;
+// Returns the cache with all shards' events, or null if none exists yet
+function loadCache(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (fs.existsSync(manifestPath)) {
+    const { years = {}, shardVersion, ...meta } = loadJSON(manifestPath);
+    if (shardVersion !== SHARD_VERSION) throw new Error(`Unsupported shardVersion ${shardVersion} in ${manifestPath}`);
+
+    const events = [];
+    for (const y of Object.keys(years).sort()) {
+      const shard = loadJSON(path.join(dir, years[y].file));
+      events.push(...(shard.events || []));
+    }
+    return { ...meta, events };
+  }
 
-  const THRESH_NAVD88 = cache?.thresholdsNAVD88 || null;
-  if (!THRESH_NAVD88) {
-    die(
-      "Missing NAVD88 thresholds. Add thresholdsNAVD88 to data/peaks_navd88.json, e.g.\n" +
-      '  "thresholdsNAVD88": {"minorLow": 4.19, "moderateLow": 5.19, "majorLow": 6.19}\n'
-    );
+  const legacyPath = `${dir}.json`;
+  if (fs.existsSync(legacyPath)) {
+    console.log(`Splitting legacy single-file cache ${path.relative(ROOT, legacyPath)} into per-year shards.`);
+    return loadJSON(legacyPath);
   }
+  return null;
+}
 
-  // If method changed, clear events to avoid mixing old peak scheme with crest-anchored scheme
-  if (cache.method !== METHOD) {
-    console.log(`Method changed (${cache.method || "none"} -> ${METHOD}). Clearing events for clean rebuild.`);
-    cache.method = METHOD;
-    cache.events = [];
-    // Leave lastProcessedISO as-is; you can run a backfill range to rebuild.
+function rangeStats(values) {
+  if (!values.length) return { n: 0, max: null, min: null };
+  return { n: values.length, max: Math.max(...values), min: Math.min(...values) };
+}
+
+// highs already carry the type of the basis; thresholdsOf(e) gives the set it was typed by
+function floodStats(highs, thresholdsOf) {
+  const floods = { minor: 0, moderate: 0, major: 0, hours: null, byMonth: [], cause: {}, byMonthCause: [] };
+  for (const c of FLOOD_CAUSES) floods.cause[c] = 0;
+  for (let m = 0; m < 12; m++) {
+    floods.byMonth.push([0, 0, 0]);      // [minor, moderate, major]
+    floods.byMonthCause.push(FLOOD_CAUSES.map(() => 0)); // counts in FLOOD_CAUSES order
+  }
+
+  for (const e of highs) {
+    const k = ["Minor", "Moderate", "Major"].indexOf(e.type);
+    if (k < 0) continue;
+    floods[["minor", "moderate", "major"][k]]++;
+    floods.byMonth[new Date(e.t).getUTCMonth()][k]++;
+
+    const cause = floodCause(e, thresholdsOf(e));
+    if (cause) {
+      floods.cause[cause]++;
+      floods.byMonthCause[new Date(e.t).getUTCMonth()][FLOOD_CAUSES.indexOf(cause)]++;
+    }
+
+    const hrs = e.above?.minor?.hours;
+    if (Number.isFinite(hrs)) floods.hours = roundFt((floods.hours ?? 0) + hrs);
+  }
+  return floods;
+}
+
+function yearStats(events, thresholdsNAVD88) {
+  const highs = events.filter(e => e.kind !== "CrestLow");
+  const lows = events.filter(e => e.kind === "CrestLow");
+
+  return {
+    count: events.length,
+    highs: rangeStats(highs.map(e => Number(e.ft)).filter(Number.isFinite)),
+    lows: rangeStats(lows.map(e => Number(e.ft)).filter(Number.isFinite)),
+    floods: floodStats(highs, () => thresholdsNAVD88),
+    records: yearRecords(highs)
+  };
+}
+
+// Copies of the events with highs typed by the thresholds in force at their time (sets from
+// thresholdsHistory); null when today's set applies throughout
+function eventsAtTime(events, sets) {
+  if (sets.length < 2) return null;
+  return events.map(e => {
+    if (e.kind === "CrestLow" || !Number.isFinite(e.ft)) return e;
+    return { ...e, type: classifyNAVD(e.ft, thresholdsAt(sets, Date.parse(e.t))) };
+  });
+}
+
+// Flood counts and episodes of the year by the thresholds of the day; null when they match today's
+function atTimeStats(yearEvents, sets, episodesAtTime, today) {
+  const floods = floodStats(yearEvents.filter(e => e.kind !== "CrestLow"), e => thresholdsAt(sets, Date.parse(e.t)));
+  delete floods.hours;
+  const { hours, ...todayFloods } = today.floods;
+  if (JSON.stringify(floods) === JSON.stringify(todayFloods) && JSON.stringify(episodesAtTime) === JSON.stringify(today.episodes)) return null;
+  return { floods, episodes: episodesAtTime };
+}
+
+// { top: [{t, ft, crest}] highest storms first, monthMax: [{t, ft} | null] by UTC month }
+function yearRecords(highs) {
+  const sorted = highs
+    .filter(e => Number.isFinite(Number(e.ft)))
+    .sort((a, b) => b.ft - a.ft || new Date(a.t) - new Date(b.t));
+
+  const top = [];
+  for (const e of sorted) {
+    if (top.length >= RECORD_TOP_N) break;
+    const ms = new Date(e.t).getTime();
+    if (top.some(r => Math.abs(new Date(r.t).getTime() - ms) < RECORD_STORM_HOURS * 3600 * 1000)) continue;
+    top.push({ t: e.t, ft: e.ft, crest: e.crest || null });
   }
 
+  const monthMax = new Array(12).fill(null);
+  for (const e of sorted) {
+    const m = new Date(e.t).getUTCMonth();
+    if (!monthMax[m]) monthMax[m] = { t: e.t, ft: e.ft };
+  }
+  return { top, monthMax };
+}
+
+// One event per line keeps shard diffs readable
+function shardText(year, method, events) {
+  const lines = events.map(e => "    " + JSON.stringify(e));
+  return `{\n  "year": ${year},\n  "method": ${JSON.stringify(method)},\n  "events": [\n${lines.join(",\n")}\n  ]\n}\n`;
+}
+
+// Pretty metadata, one line per year entry
+function manifestText(meta, years) {
+  const head = JSON.stringify({ ...meta, shardVersion: SHARD_VERSION }, null, 2).slice(0, -2);
+  const lines = Object.keys(years).map(y => `    ${JSON.stringify(y)}: ${JSON.stringify(years[y])}`);
+  return `${head},\n  "years": {\n${lines.join(",\n")}\n  }\n}\n`;
+}
+
+// Writes only the shards whose content changed; returns the years written
+function saveCache(dir, cache) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  const oldYears = fs.existsSync(manifestPath) ? (loadJSON(manifestPath).years || {}) : {};
+
+  const byYear = new Map();
+  for (const e of cache.events || []) {
+    const y = eventYear(e);
+    if (!Number.isFinite(y)) continue;
+    if (!byYear.has(y)) byYear.set(y, []);
+    byYear.get(y).push(e);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  annotateTideContext(cache.events || []);
+
+  // Episodes need neighbouring years (a storm over New Year's), so they are built on all events
+  const episodes = episodeCountsByYear(buildEpisodes(cache.events || [], { maxGapTides: EPISODE_MAX_GAP_TIDES }));
+  const noEpisodes = { n: 0, minor: 0, moderate: 0, major: 0 };
+
+  // Same counts by the thresholds in force at the time, where an earlier set applies
+  const sets = thresholdsHistory(cache.thresholdsHistoryNAVD88, cache.thresholdsNAVD88);
+  const atTime = eventsAtTime(cache.events || [], sets);
+  const atTimeByYear = new Map();
+  for (const e of atTime || []) {
+    const y = eventYear(e);
+    if (!atTimeByYear.has(y)) atTimeByYear.set(y, []);
+    atTimeByYear.get(y).push(e);
+  }
+  const episodesAtTime = atTime && episodeCountsByYear(buildEpisodes(atTime, { maxGapTides: EPISODE_MAX_GAP_TIDES }));
+
+  const years = {};
+  const written = [];
+  for (const y of [...byYear.keys()].sort((a, b) => a - b)) {
+    const file = `${y}.json`;
+    const text = shardText(y, cache.method, byYear.get(y));
+    const shardPath = path.join(dir, file);
+
+    let updatedISO = oldYears[y]?.updatedISO || null;
+    if (!fs.existsSync(shardPath) || fs.readFileSync(shardPath, "utf8") !== text) {
+      fs.writeFileSync(shardPath, text, "utf8");
+      updatedISO = isoNow();
+      written.push(y);
+    }
+    years[y] = { file, updatedISO, ...yearStats(byYear.get(y), cache.thresholdsNAVD88), episodes: episodes.get(y) || noEpisodes };
+    const then = atTime && atTimeStats(atTimeByYear.get(y), sets, episodesAtTime.get(y) || noEpisodes, years[y]);
+    if (then) years[y].atTime = then;
+  }
+
+  // Years that no longer have events (e.g. after a method change)
+  for (const y of Object.keys(oldYears)) {
+    if (years[y]) continue;
+    const stale = path.join(dir, oldYears[y].file);
+    if (fs.existsSync(stale)) fs.unlinkSync(stale);
+    written.push(Number(y));
+  }
+
+  const { events, ...meta } = cache;
+  meta.episodeMaxGapTides = EPISODE_MAX_GAP_TIDES;
+  fs.writeFileSync(manifestPath, manifestText(meta, years), "utf8");
+  return written;
+}
+
+// -------------------------
+// Main update logic
+// -------------------------
+function resolveRange(cache) {
   const backfillYear = parseArg("--backfill-year");
   const backfillFrom = parseArg("--backfill-from");
   const backfillTo = parseArg("--backfill-to");
@@ -300,109 +727,223 @@ async function main() {
 
   if (backfillYear) {
     const y = Number(backfillYear);
-    if (!Number.isFinite(y) || y < 1900 || y > 3000) die("Invalid --backfill-year=YYYY");
+    if (!Number.isFinite(y) || y < 1900 || y > 3000) throw new Error("Invalid --backfill-year=YYYY");
     startISO = new Date(Date.UTC(y, 0, 1, 0, 0, 0)).toISOString();
     endISO = new Date(Date.UTC(y + 1, 0, 1, 0, 0, 0)).toISOString();
     console.log(`Backfill year ${y}: ${startISO} → ${endISO}`);
   } else if (backfillFrom && backfillTo) {
     const y1 = Number(backfillFrom);
     const y2 = Number(backfillTo);
-    if (!Number.isFinite(y1) || !Number.isFinite(y2)) die("Invalid --backfill-from / --backfill-to (must be years)");
+    if (!Number.isFinite(y1) || !Number.isFinite(y2)) throw new Error("Invalid --backfill-from / --backfill-to (must be years)");
     const lo = Math.min(y1, y2);
     const hi = Math.max(y1, y2);
-    if (lo < 1900 || hi > 3000) die("Backfill range out of bounds.");
+    if (lo < 1900 || hi > 3000) throw new Error("Backfill range out of bounds.");
     startISO = new Date(Date.UTC(lo, 0, 1, 0, 0, 0)).toISOString();
     endISO = new Date(Date.UTC(hi + 1, 0, 1, 0, 0, 0)).toISOString();
     console.log(`Backfill years ${lo}–${hi}: ${startISO} → ${endISO}`);
   } else {
     const last = clampISO(cache.lastProcessedISO || "2000-01-01T00:00:00Z");
-    if (!last) die("Cache lastProcessedISO is invalid ISO.");
+    if (!last) throw new Error("Cache lastProcessedISO is invalid ISO.");
     startISO = addHoursISO(last, -BUFFER_HOURS);
     endISO = isoNow();
     console.log(`Incremental: ${startISO} → ${endISO}`);
   }
 
-  // 1) Fetch observed series from USGS
-  const series = await fetchUSGSIV({ startISO, endISO });
-  if (!series.length) {
-    console.log("No series points returned; nothing to do.");
-    return;
-  }
+  return { startISO, endISO };
+}
 
-  // 2) Fetch predicted high tide crest times from NOAA (pad window slightly)
-  const predStartISO = addHoursISO(startISO, -3);
-  const predEndISO = addHoursISO(endISO, +3);
+async function updateStation(station) {
+  checkStation(station);
+  const cacheDir = path.join(ROOT, station.output);
+  console.log(`\n=== ${station.id}: USGS ${station.usgsSite} (${station.parameterCd}), NOAA ${station.noaaStation} → ${station.output}/`);
 
-  const predictedHighs = await fetchNOAAHiloPredictionsHighs({ startISO: predStartISO, endISO: predEndISO });
-  if (!predictedHighs.length) {
-    console.log("No NOAA predicted highs returned; nothing to do.");
-    return;
-  }
+  // New stations start from an empty cache; existing ones keep their history
+  const loaded = loadCache(cacheDir);
+  const cache = loaded || emptyCache(station);
 
-  // 3) Build crest-anchored events
-  const crestHighs = buildCrestAnchoredHighEvents({
-    series,
-    predictedHighs,
-    thresholdsNAVD88: THRESH_NAVD88
-  });
+  // Ensure required metadata exists (you already store these)
+  cache.site = cache.site || station.usgsSite;
+  cache.parameterCd = cache.parameterCd || station.parameterCd;
+  cache.datum = cache.datum || "NAVD88";
+  cache.peakMinSepMinutes = cache.peakMinSepMinutes || PEAK_MIN_SEP_MINUTES;
 
-  // 4) Merge/dedupe by crest time (stable key)
-  const existing = Array.isArray(cache.events) ? cache.events : [];
-  const byCrest = new Map();
+  // A method change carries the events forward (tools/lib/peaks_migrations.js); without a
+  // migration the run stops here instead of discarding the history
+  if (cache.method !== METHOD) {
+    const from = cache.method;
+    const steps = migrateCache(cache);
+    console.log(`Migrated events ${[from, ...steps.map(m => m.to)].join(" -> ")} (${cache.events.length} kept).`);
+  }
 
-  for (const e of existing) {
-    if (e?.crest) byCrest.set(String(e.crest), e);
+  // Registry thresholds win; stored highs are reclassified from their heights when they change
+  if (station.thresholdsNAVD88) {
+    const oldT = cache.thresholdsNAVD88;
+    cache.thresholdsNAVD88 = station.thresholdsNAVD88;
+    if (loaded && JSON.stringify(oldT) !== JSON.stringify(station.thresholdsNAVD88)) {
+      const { retyped, needDurations } = reclassifyEvents(cache.events || [], cache.thresholdsNAVD88, oldT);
+      console.log(
+        `Thresholds changed: ${retyped} high(s) reclassified; ${needDurations.length} flood tide(s) without time above ` +
+        "a threshold (recompute with tools/maintain_peaks_cache.js --rebuild-from/--rebuild-to)."
+      );
+    }
+  }
+  if (station.thresholdsHistoryNAVD88) cache.thresholdsHistoryNAVD88 = station.thresholdsHistoryNAVD88;
+
+  // Record which datum table applies to these NAVD88 heights (informational; events are not converted)
+  try {
+    const table = loadDatumTable(station.noaaStation);
+    const offsetsFromNAVD88 = {};
+    for (const name of Object.keys(table.values)) offsetsFromNAVD88[name] = table.convert(0, "NAVD88", name);
+    cache.datumTable = { version: table.version, offsetsFromNAVD88 };
+  } catch (e) {
+    console.log(`WARN: ${e.message}; manifest datumTable left as-is.`);
   }
 
-  let added = 0;
-  let updated = 0;
+  const THRESH_NAVD88 = cache?.thresholdsNAVD88 || null;
+  if (!THRESH_NAVD88) {
+    throw new Error(
+      `Missing NAVD88 thresholds for ${station.id}. Add thresholdsNAVD88 to its entry in data/stations.json, e.g.\n` +
+      '  "thresholdsNAVD88": {"minorLow": 4.19, "moderateLow": 5.19, "majorLow": 6.19}\n'
+    );
+  }
 
-  for (const e of crestHighs) {
-    const key = String(e.crest);
-    const prev = byCrest.get(key);
+  if (process.argv.includes("--refresh-provisional")) {
+    if (!loaded) {
+      console.log("No cache yet; nothing to refresh.");
+      return;
+    }
+    await refreshProvisional(station, cache);
+    logWritten(saveCache(cacheDir, cache));
+    return;
+  }
 
-    if (!prev) {
-      existing.push(e);
-      byCrest.set(key, e);
-      added++;
-      continue;
+  if (process.argv.includes("--backfill-met")) {
+    if (!loaded) {
+      console.log("No cache yet; nothing to backfill.");
+      return;
     }
+    console.log(`Wind/pressure from CO-OPS ${metStationOf(station)}:`);
+    const n = await attachMet(station, cache, cache.events || []);
+    console.log(`Flood tides given wind/pressure: ${n}`);
+    logWritten(saveCache(cacheDir, cache));
+    return;
+  }
 
-    // Update if we now have a better observed max (or previous was missing/NaN)
-    const prevFt = Number(prev.ft);
-    const newFt = Number(e.ft);
-
-    // If the old one exists but was based on sparse data and later we capture a higher max,
-    // prefer the higher max.
-    if (!Number.isFinite(prevFt) || (Number.isFinite(newFt) && newFt > prevFt)) {
-      prev.t = e.t;
-      prev.ft = e.ft;
-      prev.type = e.type;
-      prev.kind = e.kind;
-      prev.crest = e.crest;
-      updated++;
+  if (process.argv.includes("--backfill-predictions")) {
+    if (!loaded) {
+      console.log("No cache yet; nothing to backfill.");
+      return;
     }
+    await backfillPredictions(station, cache);
+    logWritten(saveCache(cacheDir, cache));
+    return;
+  }
+
+  const { startISO, endISO } = resolveRange(cache);
+
+  // 1) Fetch observed series from USGS (month chunks, checkpointed until the cache is saved)
+  const checkpointDir = path.join(CHECKPOINT_ROOT, station.id);
+  const series = await fetchUSGSIV({
+    site: station.usgsSite,
+    parameterCd: station.parameterCd,
+    startISO,
+    endISO,
+    checkpointDir
+  });
+  if (!series.length) {
+    console.log("No series points returned; nothing to do.");
+    return;
   }
 
-  // Keep chronological order
-  existing.sort((a, b) => new Date(a.t) - new Date(b.t));
-  cache.events = existing;
+  // 2) Fetch predicted high/low tide crest times from NOAA (pad window slightly)
+  const predStartISO = addHoursISO(startISO, -3);
+  const predEndISO = addHoursISO(endISO, +3);
+
+  const predicted = await fetchNOAAHiloPredictions({
+    station: station.noaaStation,
+    startISO: predStartISO,
+    endISO: predEndISO
+  });
+  if (!predicted.length) {
+    console.log("No NOAA predicted crests returned; nothing to do.");
+    return;
+  }
+
+  // 3) Build crest-anchored events (predicted heights MLLW -> NAVD88; none without a datum table)
+  // 4) Merge/dedupe by crest time (stable key), then re-pair highs with their next low
+  const { highs: crestHighs, lows: crestLows, added, updated, paired } = addCrestEvents(cache, { series, predicted });
 
   // Advance lastProcessedISO to newest timestamp in the fetched USGS series
   const newestT = series[series.length - 1]?.t;
   if (newestT) cache.lastProcessedISO = new Date(newestT).toISOString();
 
-  saveJSON(CACHE_PATH, cache);
+  // 5) Wind/pressure for the range's flood tides (optional: a CO-OPS outage only delays it)
+  const rangeStartMs = new Date(startISO).getTime();
+  let withMet = 0;
+  try {
+    withMet = await attachMet(station, cache, cache.events.filter(e => new Date(e.crest).getTime() >= rangeStartMs));
+  } catch (err) {
+    console.log(`WARN: wind/pressure skipped (${err.message || err}); retried next run.`);
+  }
+
+  const written = saveCache(cacheDir, cache);
+  clearCheckpoints(checkpointDir);
 
   console.log(`Fetched USGS points:         ${series.length}`);
-  console.log(`NOAA predicted HIGH crests:  ${predictedHighs.length}`);
-  console.log(`Crest-anchored events built: ${crestHighs.length}`);
+  console.log(`NOAA predicted HIGH crests:  ${predicted.filter(p => p.type === "H").length}`);
+  console.log(`NOAA predicted LOW crests:   ${predicted.filter(p => p.type === "L").length}`);
+  console.log(`Crest-anchored highs built:  ${crestHighs.length}`);
+  console.log(`Crest-anchored lows built:   ${crestLows.length}`);
+  console.log(`Highs with tidal range:      ${paired}`);
   console.log(`Events added:               ${added}`);
   console.log(`Events updated:             ${updated}`);
+  console.log(`Flood tides given met:      ${withMet}`);
   console.log(`New lastProcessedISO:       ${cache.lastProcessedISO}`);
+  logWritten(written);
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+function logWritten(years) {
+  console.log(`Year shards rewritten:      ${years.length ? years.join(", ") : "none"}`);
+}
+
+async function main() {
+  const stations = selectStations(loadStations());
+
+  // One gauge failing (outage, bad config) should not block the others under --all
+  const failed = [];
+  for (const station of stations) {
+    try {
+      await updateStation(station);
+    } catch (err) {
+      console.error(`Station ${station.id} failed:`, err);
+      failed.push(station.id);
+    }
+  }
+
+  if (failed.length) die(`Update failed for: ${failed.join(", ")}`);
+}
+
+// Exported for tools/maintain_peaks_cache.js and tools/test/ (which stubs fetch)
+module.exports = {
+  CHECKPOINT_ROOT,
+  loadStations,
+  selectStations,
+  checkStation,
+  loadCache,
+  saveCache,
+  logWritten,
+  fetchUSGSIV,
+  fetchNOAAHiloPredictions,
+  emptyCache,
+  datumValuesOf,
+  addCrestEvents,
+  attachMet,
+  refreshProvisional
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -3,13 +3,39 @@
  * Update PETSS forecast (ensemble mean) from NOMADS PETSS production tarballs.
  *
  * Outputs:
- *  - data/petss_forecast.csv   (time_utc_iso, twl_ft_mllw, tide_ft_mllw, surge_ft, src_time)
- *  - data/petss_forecast.json  ([{ t: "...Z", twl, tide, surge }...])
- *  - data/petss_meta.json      ({ stid, datum, run_dir, cycle, source_url, updated_utc, n_points })
+ *  - data/petss_forecast.csv   (time_utc_iso, twl_ft_mllw, tide_ft_mllw, surge_ft, src_time,
+ *                               twl10p_ft_mllw, twl90p_ft_mllw, surge10p_ft, surge90p_ft, ob_ft_mllw, bias_ft)
+ *  - data/petss_forecast.json  ([{ t: "...Z", twl, tide, surge, twl10p, twl90p, surge10p, surge90p, ob, bias }...])
+ *  - data/petss_meta.json      ({ stid, datum, source_datum, datum_table_version, run_dir, cycle,
+ *                               issued_utc, source_url, updated_utc, n_points, skipped })
+ *                              Nothing in it depends on the run time alone: the dashboard ages the
+ *                              forecast from issued_utc, so re-runs without a new cycle change no file.
+ *  - data/petss_archive/<run_dir>_<cycle>.json
+ *                              (compact copy of the cycle's forecast hours, lead >= 0; one file per cycle,
+ *                               rewritten if the same cycle is fetched again — see tools/verify_petss_forecast.js)
  *
  * Env:
  *  - PETSS_STID  (required) e.g. "8536889"
- *  - PETSS_DATUM (optional; metadata only) e.g. "MLLW"
+ *  - PETSS_DATUM (optional) datum of the NOMADS station values, default "MLLW". Water levels
+ *                (TWL, TIDE, OB and the TWL percentiles) are converted to MLLW with the datum table
+ *                data/datums/<noaaStation>.json of the data/stations.json entry whose petssStid
+ *                matches; SURGE and BIAS are differences and stay as-is.
+ *  - PETSS_LOOKBACK_DAYS (optional) how many petss.YYYYMMDD/ dirs to search, default 3
+ *  - PETSS_STATIONS (optional) also extract other stations from the same tarball: "all" for every
+ *                station CSV in it, or a comma-separated allow-list of station ids. Each goes to
+ *                data/petss_stations/<stid>.json (compact, like the archive) and
+ *                data/petss_stations/index.json lists them (id, name, datum, first/last time, max TWL).
+ *                Names come from data/stations.json (petssStid and petssNearby); stations without a
+ *                datum table stay in PETSS_DATUM. Files of stations no longer extracted are removed.
+ *  - HTTP_RECORD / HTTP_REPLAY (optional) save the NOMADS responses to a directory, or run offline
+ *                from one (tools/lib/http.js, which also retries failed requests)
+ *
+ * Cycle selection: run dirs newest first, and within each the cycles present newest first
+ * (t18z → t00z). A cycle is used only if its tarball downloads, extracts, has the station CSV and
+ * parses to at least MIN_FORECAST_HOURS of forecast past issuance; otherwise the next older one is
+ * tried (recorded in meta.skipped). The cycle already in data/petss_meta.json, or one issued before
+ * it, is never fetched again: the existing files are kept as they are (a meta written before
+ * issued_utc existed gets it added once), so a run with no new cycle changes nothing.
  */
 
 "use strict";
@@ -17,10 +43,20 @@
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const https = require("https");
 const { execSync } = require("child_process");
+const { loadDatumTable } = require("./lib/datums");
+const { getText, download } = require("./lib/http");
 
 const BASE = "https://nomads.ncep.noaa.gov/pub/data/nccf/com/petss/prod/";
+const ARCHIVE_DIR = "data/petss_archive";
+const ARCHIVE_FIELDS = ["t", "twl", "tide", "surge", "twl10p", "twl90p"];
+const OUTPUT_DATUM = "MLLW";
+const LEVEL_FIELDS = ["twl", "tide", "twl10p", "twl90p", "ob"]; // datum-referenced (not surge/bias)
+const META_PATH = "data/petss_meta.json";
+const DEFAULT_LOOKBACK_DAYS = 3;
+const MIN_FORECAST_HOURS = 48; // the dashboard's outlook window
+const STATIONS_DIR = "data/petss_stations";
+const STATIONS_INDEX = "index.json";
 
 function log(...a) { console.log(...a); }
 function die(msg, err) {
@@ -33,69 +69,21 @@ function ensureDir(p) {
   fs.mkdirSync(p, { recursive: true });
 }
 
-function fetchText(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { "User-Agent": "petss-forecast-updater" } }, (res) => {
-      // handle redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return resolve(fetchText(res.headers.location));
-      }
-      if (res.statusCode !== 200) {
-        return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-      }
-      let data = "";
-      res.setEncoding("utf8");
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => resolve(data));
-    }).on("error", reject);
-  });
-}
-
-function downloadFile(url, outPath) {
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(outPath);
-    https.get(url, { headers: { "User-Agent": "petss-forecast-updater" } }, (res) => {
-      // redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        file.close(() => fs.unlinkSync(outPath));
-        return resolve(downloadFile(res.headers.location, outPath));
-      }
-      if (res.statusCode !== 200) {
-        file.close(() => fs.unlinkSync(outPath));
-        return reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-      }
-      res.pipe(file);
-      file.on("finish", () => file.close(resolve));
-    }).on("error", (err) => {
-      try { file.close(() => fs.unlinkSync(outPath)); } catch (_) {}
-      reject(err);
-    });
-  });
-}
-
-function listLatestProdDir(html) {
-  // Expect directory names like petss.20260131/
+// petss.YYYYMMDD/ dirs in the NOMADS listing, newest first
+function listProdDirs(html) {
   const re = /petss\.(\d{8})\/?/g;
-  const dates = [];
+  const dates = new Set();
   let m;
-  while ((m = re.exec(html)) !== null) dates.push(m[1]);
-  if (!dates.length) throw new Error("Could not find petss.YYYYMMDD directories in NOMADS listing.");
-  dates.sort(); // ascending
-  const latest = dates[dates.length - 1];
-  return `petss.${latest}/`;
+  while ((m = re.exec(html)) !== null) dates.add(m[1]);
+  if (!dates.size) throw new Error("Could not find petss.YYYYMMDD directories in NOMADS listing.");
+  return [...dates].sort().reverse().map((d) => `petss.${d}/`);
 }
 
-function chooseCycleTarball(html) {
-  // Prefer t18z, then t12z, t06z, t00z. We want the station CSV tarball.
-  const preferred = ["t18z", "t12z", "t06z", "t00z"];
-  for (const cyc of preferred) {
-    const name = `petss.${cyc}.csv.tar.gz`;
-    if (html.includes(name)) return name;
-  }
-  // Fallback: pick ANY petss.t??z.csv.tar.gz
-  const m = html.match(/petss\.t\d{2}z\.csv\.tar\.gz/g);
-  if (m && m.length) return m.sort().pop();
-  throw new Error("Could not find any petss.t??z.csv.tar.gz tarball in run dir listing.");
+// Station CSV tarballs in a run dir listing, newest cycle first
+function listCycleTarballs(html) {
+  const found = new Set(html.match(/petss\.t\d{2}z\.csv\.tar\.gz/g) || []);
+  const byHour = (n) => Number(n.match(/t(\d{2})z/)[1]);
+  return [...found].sort((a, b) => byHour(b) - byHour(a));
 }
 
 function findFileRecursive(rootDir, filename) {
@@ -134,6 +122,14 @@ function parseNomadsStationCsv(text, stid) {
   const idxTIDE = header.indexOf("TIDE");
   const idxSURGE = header.indexOf("SURGE");
 
+  // Ensemble spread + observation/bias columns (optional; older files may lack them)
+  const idxTWL10 = header.indexOf("TWL10P");
+  const idxTWL90 = header.indexOf("TWL90P");
+  const idxSURGE10 = header.indexOf("SURGE10P");
+  const idxSURGE90 = header.indexOf("SURGE90P");
+  const idxOB = header.indexOf("OB");
+  const idxBIAS = header.indexOf("BIAS");
+
   if (idxTIME === -1 || idxTWL === -1) {
     throw new Error(`Header missing TIME or TWL for STID=${stid}. Header=${header.join("|")}`);
   }
@@ -161,6 +157,14 @@ function parseNomadsStationCsv(text, stid) {
     return dt;
   }
 
+  function col(parts, idx) {
+    return idx >= 0 ? parseNum(parts[idx]) : null;
+  }
+
+  function round3(v) {
+    return v != null ? Number(v.toFixed(3)) : null;
+  }
+
   const rows = [];
   for (let i = headerIdx + 1; i < lines.length; i++) {
     const line = lines[i].trim();
@@ -171,8 +175,8 @@ function parseNomadsStationCsv(text, stid) {
     const dt = parseTimeYYYYMMDDHHMM(parts[idxTIME]);
     if (!dt) continue;
 
-    const tide = idxTIDE >= 0 ? parseNum(parts[idxTIDE]) : null;
-    const surge = idxSURGE >= 0 ? parseNum(parts[idxSURGE]) : null;
+    const tide = col(parts, idxTIDE);
+    const surge = col(parts, idxSURGE);
     const twl = parseNum(parts[idxTWL]);
 
     // Ensemble mean TWL is TWL when present; fallback to tide+surge if TWL missing but both exist
@@ -186,9 +190,15 @@ function parseNomadsStationCsv(text, stid) {
     rows.push({
       t: dt.toISOString(),
       twl: Number(twlBest.toFixed(3)),
-      tide: tide != null ? Number(tide.toFixed(3)) : null,
-      surge: surge != null ? Number(surge.toFixed(3)) : null,
-      src_time: String(parts[idxTIME]).trim()
+      tide: round3(tide),
+      surge: round3(surge),
+      src_time: String(parts[idxTIME]).trim(),
+      twl10p: round3(col(parts, idxTWL10)),
+      twl90p: round3(col(parts, idxTWL90)),
+      surge10p: round3(col(parts, idxSURGE10)),
+      surge90p: round3(col(parts, idxSURGE90)),
+      ob: round3(col(parts, idxOB)),
+      bias: round3(col(parts, idxBIAS))
     });
   }
 
@@ -204,70 +214,323 @@ function parseNomadsStationCsv(text, stid) {
   return rows;
 }
 
-async function main() {
-  const stid = process.env.PETSS_STID?.trim();
-  const datum = (process.env.PETSS_DATUM || "MLLW").trim();
+function readRegistry() {
+  return JSON.parse(fs.readFileSync("data/stations.json", "utf8"));
+}
 
-  if (!stid) die("PETSS_STID is required (e.g., 8536889).");
+// Datum table for the registry station whose petssStid is `stid` (null if none is configured)
+function loadPetssDatumTable(stid) {
+  const st = (readRegistry().stations || []).find((s) => String(s.petssStid) === String(stid));
+  if (!st) return null;
+  return loadDatumTable(st.noaaStation);
+}
 
-  log("Running PETSS forecast updater via NOMADS…");
-  log("STID:", stid);
-  log("DATUM (for metadata only):", datum);
-  log("Base:", BASE);
+// PETSS station id -> display name, from the registry's petssStid and petssNearby entries
+function petssStationNames() {
+  const names = new Map();
+  for (const st of readRegistry().stations || []) {
+    if (st.petssStid) names.set(String(st.petssStid), st.name || st.id);
+    for (const n of st.petssNearby || []) names.set(String(n.stid), n.name);
+  }
+  return names;
+}
 
-  // 1) Find latest run dir
-  const baseHtml = await fetchText(BASE);
-  const runDir = listLatestProdDir(baseHtml);
-  log("Latest PETSS prod dir:", runDir);
+// "all" -> null (every station), "a,b" -> Set of ids, unset -> undefined (primary station only)
+function parseStationsFilter(v) {
+  if (v === undefined || !String(v).trim()) return undefined;
+  if (String(v).trim().toLowerCase() === "all") return null;
+  return new Set(String(v).split(",").map((x) => x.trim()).filter(Boolean));
+}
+
+// Every <stid>.csv under the extract dir that passes the filter
+function listStationCsvs(rootDir, filter) {
+  const out = new Map();
+  const stack = [rootDir];
+  while (stack.length) {
+    const d = stack.pop();
+    for (const e of fs.readdirSync(d, { withFileTypes: true })) {
+      const p = path.join(d, e.name);
+      if (e.isDirectory()) stack.push(p);
+      else if (e.isFile() && /^\w+\.csv$/i.test(e.name)) {
+        const id = e.name.replace(/\.csv$/i, "");
+        if (!filter || filter.has(id)) out.set(id, p);
+      }
+    }
+  }
+  return out;
+}
+
+function convertRowsDatum(rows, table, from, to) {
+  if (from === to) return rows;
+  return rows.map((r) => {
+    const out = { ...r };
+    for (const k of LEVEL_FIELDS) out[k] = table.convert(r[k], from, to);
+    return out;
+  });
+}
 
-  // 2) Choose cycle tarball
-  const runHtml = await fetchText(BASE + runDir);
-  const tarball = chooseCycleTarball(runHtml);
-  log("Chosen cycle tarball:", tarball);
+// "petss.20260222" + "t06z" -> "2026-02-22T06:00:00.000Z"
+function cycleIssuedISO(runDir, cycle) {
+  const d = String(runDir).match(/(\d{4})(\d{2})(\d{2})/);
+  const h = String(cycle).match(/t(\d{2})z/);
+  if (!d || !h) return null;
+  return new Date(Date.UTC(+d[1], +d[2] - 1, +d[3], +h[1], 0, 0)).toISOString();
+}
+
+// Keep only the forecast part (valid time >= issuance) as field-ordered arrays
+function writeCycleArchive({ stid, datum, datumTableVersion, runDir, cycle, url, rows }) {
+  const issued = cycleIssuedISO(runDir, cycle);
+  const fcst = issued ? rows.filter(r => r.t >= issued) : rows;
+
+  const doc = {
+    stid,
+    datum,
+    datum_table_version: datumTableVersion,
+    run_dir: runDir,
+    cycle,
+    issued_utc: issued,
+    source_url: url,
+    archived_utc: new Date().toISOString(),
+    fields: ARCHIVE_FIELDS,
+    rows: fcst.map(r => ARCHIVE_FIELDS.map(k => (r[k] == null ? null : r[k])))
+  };
+
+  ensureDir(ARCHIVE_DIR);
+  const out = path.join(ARCHIVE_DIR, `${runDir}_${cycle}.json`);
+  fs.writeFileSync(out, JSON.stringify(doc) + "\n", "utf8");
+  return { out, n: doc.rows.length };
+}
 
-  const cycleMatch = tarball.match(/petss\.(t\d{2}z)\.csv\.tar\.gz/);
-  const cycle = cycleMatch ? cycleMatch[1] : "unknown";
+// Other stations of the tarball -> [{ stid, datum, rows }]; unparseable ones are logged and skipped
+function parseOtherStations(extractDir, stid, filter, sourceDatum) {
+  const out = [];
+  for (const [id, file] of listStationCsvs(extractDir, filter)) {
+    if (id === stid) continue;
+    try {
+      let tableFor = null;
+      try { tableFor = loadPetssDatumTable(id); } catch (_) {}
+      const datum = tableFor ? OUTPUT_DATUM : sourceDatum;
+      const rows = convertRowsDatum(parseNomadsStationCsv(fs.readFileSync(file, "utf8"), id), tableFor, sourceDatum, datum);
+      out.push({ stid: id, datum, rows });
+    } catch (e) {
+      log(`WARN: station ${id} skipped: ${String(e.message || e).split("\n")[0]}`);
+    }
+  }
+  if (filter) {
+    const missing = [...filter].filter((id) => id !== stid && !out.some((o) => o.stid === id));
+    if (missing.length) log(`WARN: not in this cycle: ${missing.join(", ")}`);
+  }
+  return out;
+}
 
+/*
+  One compact file per station plus the index. The primary station is included so the index
+  covers everything the cycle was read for.
+*/
+function writeStationFiles({ stations, runDir, cycle, issued, url }) {
+  ensureDir(STATIONS_DIR);
+  const names = petssStationNames();
+  const entries = [];
+
+  for (const st of stations.sort((a, b) => a.stid.localeCompare(b.stid))) {
+    const file = `${st.stid}.json`;
+    const fcst = st.rows.filter((r) => r.t >= issued);
+    const max = fcst.reduce((m, r) => (r.twl != null && (!m || r.twl > m.ft) ? { t: r.t, ft: r.twl } : m), null);
+    const doc = {
+      stid: st.stid,
+      datum: st.datum,
+      run_dir: runDir,
+      cycle,
+      issued_utc: issued,
+      fields: ARCHIVE_FIELDS,
+      rows: st.rows.map((r) => ARCHIVE_FIELDS.map((k) => (r[k] == null ? null : r[k])))
+    };
+    fs.writeFileSync(path.join(STATIONS_DIR, file), JSON.stringify(doc) + "\n", "utf8");
+    entries.push({
+      stid: st.stid,
+      name: names.get(st.stid) || null,
+      file,
+      datum: st.datum,
+      n: st.rows.length,
+      first_t: st.rows[0].t,
+      last_t: st.rows[st.rows.length - 1].t,
+      max_twl: max
+    });
+  }
+
+  // Drop files of stations that were not extracted this time
+  const keep = new Set(entries.map((e) => e.file));
+  for (const f of fs.readdirSync(STATIONS_DIR)) {
+    if (f !== STATIONS_INDEX && f.endsWith(".json") && !keep.has(f)) fs.unlinkSync(path.join(STATIONS_DIR, f));
+  }
+
+  const index = {
+    run_dir: runDir,
+    cycle,
+    issued_utc: issued,
+    source_url: url,
+    updated_utc: new Date().toISOString(),
+    fields: ARCHIVE_FIELDS,
+    stations: entries
+  };
+  fs.writeFileSync(path.join(STATIONS_DIR, STATIONS_INDEX), JSON.stringify(index, null, 2) + "\n", "utf8");
+  return entries.length;
+}
+
+function readPrevMeta() {
+  if (!fs.existsSync(META_PATH)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(META_PATH, "utf8"));
+  } catch (e) {
+    log("WARN: unreadable", META_PATH, e.message);
+    return null;
+  }
+}
+
+function ageHours(issuedISO, nowMs) {
+  const ms = Date.parse(issuedISO);
+  return Number.isFinite(ms) ? Math.round((nowMs - ms) / 360000) / 10 : null;
+}
+
+/*
+  Download, extract and parse one cycle. Throws unless the station CSV is there and the forecast
+  reaches MIN_FORECAST_HOURS past issuance (a cycle still being written has a short or empty tail).
+*/
+async function fetchCycle({ runDir, tarball, stid, table, sourceDatum, stationsFilter }) {
+  const cycle = tarball.match(/petss\.(t\d{2}z)\.csv\.tar\.gz/)[1];
+  const issued = cycleIssuedISO(runDir, cycle);
   const url = BASE + runDir + tarball;
   log("Downloading:", url);
 
-  // 3) Download + extract
   const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "petss-"));
-  const tgzPath = path.join(tmp, tarball);
-  await downloadFile(url, tgzPath);
+  try {
+    const tgzPath = path.join(tmp, tarball);
+    await download(url, tgzPath, { label: `NOMADS ${tarball}` });
+
+    const extractDir = path.join(tmp, "extract");
+    ensureDir(extractDir);
+
+    // Use system tar (available on ubuntu-latest)
+    execSync(`tar -xzf "${tgzPath}" -C "${extractDir}"`, { stdio: "inherit" });
+
+    const stationFile = findFileRecursive(extractDir, `${stid}.csv`);
+    if (!stationFile) {
+      // Dump a quick directory tree depth 3 to help if this ever changes
+      const listing = execSync(`find "${extractDir}" -maxdepth 4 -type f | head -n 200`, { encoding: "utf8" });
+      throw new Error(`Could not find ${stid}.csv under extract dir.\nSample files:\n${listing}`);
+    }
+    log("Station CSV file:", stationFile);
 
-  const extractDir = path.join(tmp, "extract");
-  ensureDir(extractDir);
+    const stationText = fs.readFileSync(stationFile, "utf8");
+    const rows = convertRowsDatum(parseNomadsStationCsv(stationText, stid), table, sourceDatum, OUTPUT_DATUM);
 
-  // Use system tar (available on ubuntu-latest)
-  execSync(`tar -xzf "${tgzPath}" -C "${extractDir}"`, { stdio: "inherit" });
+    const lastMs = Date.parse(rows[rows.length - 1].t);
+    const horizon = (lastMs - Date.parse(issued)) / 3600000;
+    if (!(horizon >= MIN_FORECAST_HOURS)) {
+      throw new Error(`Incomplete cycle: forecast reaches ${Math.max(0, horizon).toFixed(0)} h past issuance, need ${MIN_FORECAST_HOURS} h`);
+    }
 
-  // 4) Locate station file
-  const stationFile = findFileRecursive(extractDir, `${stid}.csv`);
-  if (!stationFile) {
-    // Dump a quick directory tree depth 3 to help if this ever changes
-    const listing = execSync(`find "${extractDir}" -maxdepth 4 -type f | head -n 200`, { encoding: "utf8" });
-    throw new Error(`Could not find ${stid}.csv under extract dir.\nSample files:\n${listing}`);
+    const others = stationsFilter === undefined ? [] : parseOtherStations(extractDir, stid, stationsFilter, sourceDatum);
+    return { runDir, cycle, issued, url, rows, stationText, others };
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
   }
-  log("Station CSV file:", stationFile);
+}
 
-  const stationText = fs.readFileSync(stationFile, "utf8");
+async function main() {
+  const stid = process.env.PETSS_STID?.trim();
+  const sourceDatum = (process.env.PETSS_DATUM || OUTPUT_DATUM).trim();
+
+  if (!stid) die("PETSS_STID is required (e.g., 8536889).");
+
+  // Offsets come from the station's datum table; a missing table only matters if we must convert
+  let table = null;
+  try {
+    table = loadPetssDatumTable(stid);
+  } catch (e) {
+    if (sourceDatum !== OUTPUT_DATUM) die(`Cannot convert ${sourceDatum} -> ${OUTPUT_DATUM}: ${e.message}`);
+    log("WARN: datum table unavailable:", e.message);
+  }
+  if (!table && sourceDatum !== OUTPUT_DATUM) {
+    die(`No data/stations.json entry has petssStid=${stid}; cannot convert ${sourceDatum} -> ${OUTPUT_DATUM}.`);
+  }
+
+  log("Running PETSS forecast updater via NOMADS…");
+  log("STID:", stid);
+  log(`DATUM: ${sourceDatum} -> ${OUTPUT_DATUM}` + (table ? ` (datum table ${table.station} ${table.version})` : ""));
+  log("Base:", BASE);
+
+  const lookback = Number(process.env.PETSS_LOOKBACK_DAYS || DEFAULT_LOOKBACK_DAYS);
+  const stationsFilter = parseStationsFilter(process.env.PETSS_STATIONS);
+  if (stationsFilter !== undefined) log("Other stations:", stationsFilter ? [...stationsFilter].join(", ") : "all");
+  const prev = readPrevMeta();
+  const prevIssued = prev ? (prev.issued_utc || cycleIssuedISO(prev.run_dir, prev.cycle)) : null;
+  if (prevIssued) log("Current forecast issued:", prevIssued);
+
+  // 1) Run dirs, newest first
+  const baseHtml = await getText(BASE, { label: "NOMADS listing" });
+  const runDirs = listProdDirs(baseHtml).slice(0, Math.max(1, lookback));
+  log("PETSS prod dirs to search:", runDirs.join(" "));
+
+  // 2) Newest complete cycle, walking back through cycles and days
+  const skipped = [];
+  let chosen = null;
+  search:
+  for (const runDir of runDirs) {
+    let runHtml;
+    try {
+      runHtml = await getText(BASE + runDir, { label: `NOMADS ${runDir}` });
+    } catch (e) {
+      log(`Skipping ${runDir}: ${e.message}`);
+      skipped.push({ run_dir: runDir.replace(/\/$/, ""), cycle: null, reason: e.message });
+      continue;
+    }
+
+    const tarballs = listCycleTarballs(runHtml);
+    if (!tarballs.length) log(`No cycle tarballs in ${runDir} yet`);
+    for (const tarball of tarballs) {
+      const cycle = tarball.match(/petss\.(t\d{2}z)/)[1];
+      if (prevIssued && cycleIssuedISO(runDir, cycle) <= prevIssued) break search; // the one we have, or older
+
+      try {
+        chosen = await fetchCycle({ runDir, tarball, stid, table, sourceDatum, stationsFilter });
+        break search;
+      } catch (e) {
+        const reason = String(e.message || e).split("\n")[0];
+        log(`Skipping ${runDir}${tarball}: ${reason}`);
+        skipped.push({ run_dir: runDir.replace(/\/$/, ""), cycle, reason });
+      }
+    }
+  }
+
+  const nowMs = Date.now();
+  if (!chosen) {
+    if (!prev) throw new Error(`No complete PETSS cycle in the last ${runDirs.length} run dir(s).`);
+
+    // Keep the forecast we have (it is newer than anything complete on NOMADS)
+    if (!prev.issued_utc && prevIssued) {
+      fs.writeFileSync(META_PATH, JSON.stringify({ ...prev, issued_utc: prevIssued }, null, 2) + "\n", "utf8");
+    }
+    log(`Kept ${prev.run_dir}/${prev.cycle} (issued ${prevIssued}, ${ageHours(prevIssued, nowMs)} h old); no newer complete cycle.`);
+    return;
+  }
+
+  const { runDir, cycle, url, rows, stationText } = chosen;
+  log(`Chosen cycle: ${runDir}${cycle} (issued ${chosen.issued})`);
 
   // Always write a debug snapshot of the station file (small and helpful)
   ensureDir("data");
   fs.writeFileSync("data/petss_station_debug.txt", stationText.split(/\r?\n/).slice(0, 250).join("\n") + "\n", "utf8");
 
-  // 5) Parse NOMADS station CSV and keep ensemble mean TWL
-  const rows = parseNomadsStationCsv(stationText, stid);
-
   // 6) Write outputs
+  const cell = (v) => (v == null ? "" : v);
   const outCsv = [
-    "time_utc_iso,twl_ft_mllw,tide_ft_mllw,surge_ft,src_time",
-    ...rows.map(r => {
-      const tide = (r.tide == null ? "" : r.tide);
-      const surge = (r.surge == null ? "" : r.surge);
-      return `${r.t},${r.twl},${tide},${surge},${r.src_time}`;
-    })
+    "time_utc_iso,twl_ft_mllw,tide_ft_mllw,surge_ft,src_time," +
+      "twl10p_ft_mllw,twl90p_ft_mllw,surge10p_ft,surge90p_ft,ob_ft_mllw,bias_ft",
+    ...rows.map(r => [
+      r.t, r.twl, cell(r.tide), cell(r.surge), r.src_time,
+      cell(r.twl10p), cell(r.twl90p), cell(r.surge10p), cell(r.surge90p), cell(r.ob), cell(r.bias)
+    ].join(","))
   ].join("\n") + "\n";
 
   fs.writeFileSync("data/petss_forecast.csv", outCsv, "utf8");
@@ -275,17 +538,38 @@ async function main() {
 
   const meta = {
     stid,
-    datum,
+    datum: OUTPUT_DATUM,
+    source_datum: sourceDatum,
+    datum_table_version: table ? table.version : null,
     run_dir: runDir.replace(/\/$/, ""),
     cycle,
+    issued_utc: chosen.issued,
     source_url: url,
-    updated_utc: new Date().toISOString(),
+    updated_utc: new Date(nowMs).toISOString(),
     n_points: rows.length,
-    notes: "Ensemble mean plotted as TWL (fallback to TIDE+SURGE when TWL missing)."
+    skipped,
+    notes:
+      "Ensemble mean plotted as TWL (fallback to TIDE+SURGE when TWL missing). " +
+      "TWL10p/TWL90p bound the ensemble spread; OB/BIAS are the observation and bias correction at issue time."
   };
-  fs.writeFileSync("data/petss_meta.json", JSON.stringify(meta, null, 2) + "\n", "utf8");
+  fs.writeFileSync(META_PATH, JSON.stringify(meta, null, 2) + "\n", "utf8");
 
   log(`Wrote ${rows.length} points → data/petss_forecast.csv + .json + meta`);
+
+  // 7) Archive this cycle for forecast verification
+  const arch = writeCycleArchive({
+    stid, datum: OUTPUT_DATUM, datumTableVersion: meta.datum_table_version, runDir: meta.run_dir, cycle, url, rows
+  });
+  log(`Archived ${arch.n} forecast hours → ${arch.out}`);
+
+  // 8) Per-station files + index (PETSS_STATIONS)
+  if (stationsFilter !== undefined) {
+    const n = writeStationFiles({
+      stations: [{ stid, datum: OUTPUT_DATUM, rows }, ...chosen.others],
+      runDir: meta.run_dir, cycle, issued: chosen.issued, url
+    });
+    log(`Wrote ${n} station forecasts → ${STATIONS_DIR}/`);
+  }
 }
 
 main().catch((e) => {
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Return periods of high water ("how rare was that tide?") from the peaks cache
+ *
+ * Writes data/return_periods.json (NAVD88) for the dashboard's return-period panel and the
+ * recurrence labels in its history table:
+ *   gev  annual maxima of the crest-anchored highs, GEV by maximum likelihood
+ *   gpd  peaks over threshold (default: the station's minor flood threshold), declustered into
+ *        storm peaks (exceedances within --run-hours of each other are one storm), GPD + Poisson rate
+ * Both report 2/5/10/25/50/100-year levels with 95% intervals from a year-block bootstrap
+ * (seeded, so an unchanged cache gives an unchanged file). Years with less than --min-coverage of
+ * the expected high tides are left out of both fits.
+ *
+ * Usage:
+ *   node tools/update_return_periods.js [--station=bivalve] [--gpd-threshold=4.19]
+ *                                       [--run-hours=72] [--min-coverage=0.8] [--bootstrap=1000]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readPeaksEvents } = require("./lib/peaks_cache");
+const {
+  XI_BOUND,
+  annualMaxima, declusterPeaks,
+  fitGEV, gevReturnLevel,
+  fitGPD, gpdReturnLevel,
+  bootstrapLevels
+} = require("./lib/extremes.mjs");
+
+// -------------------------
+// Config
+// -------------------------
+const ROOT = path.join(__dirname, "..");
+const STATIONS_PATH = path.join(ROOT, "data", "stations.json");
+const OUT_PATH = path.join(ROOT, "data", "return_periods.json");
+
+const RETURN_PERIODS = [2, 5, 10, 25, 50, 100];
+const DEFAULT_MIN_COVERAGE = 0.8;
+const DEFAULT_RUN_HOURS = 72;
+const DEFAULT_BOOTSTRAP = 1000;
+
+// -------------------------
+// Helpers
+// -------------------------
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function numArg(name, dflt) {
+  const v = parseArg(name);
+  if (v === null) return dflt;
+  const n = Number(v);
+  if (!Number.isFinite(n)) die(`Bad ${name}=${v}`);
+  return n;
+}
+
+function loadJSON(p) {
+  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function selectStation() {
+  const reg = loadJSON(STATIONS_PATH);
+  const stations = Array.isArray(reg?.stations) ? reg.stations : [];
+  const want = parseArg("--station") || reg.default;
+  const st = stations.find(s => s.id === want || s.usgsSite === want);
+  if (!st) die(`Station "${want}" not found in ${STATIONS_PATH}`);
+  return st;
+}
+
+const r3 = x => Number.isFinite(x) ? Math.round(x * 1000) / 1000 : null;
+
+function levelsTable(point, boot) {
+  return RETURN_PERIODS.map((T, i) => ({
+    T,
+    ft: r3(point(T)),
+    lo: r3(boot.intervals[i].lo),
+    hi: r3(boot.intervals[i].hi)
+  }));
+}
+
+// -------------------------
+// Fits
+// -------------------------
+function gevSection(maxima, B) {
+  const fit = fitGEV(maxima.map(m => m.ft));
+  if (!fit) return null;
+
+  const boot = bootstrapLevels(maxima, s => fitGEV(s.map(m => m.ft)), gevReturnLevel, RETURN_PERIODS, { B });
+  return {
+    params: { mu: r3(fit.mu), sigma: r3(fit.sigma), xi: r3(fit.xi) },
+    n: fit.n,
+    levels: levelsTable(T => gevReturnLevel(fit, T), boot),
+    bootstrap: { B: boot.B, ok: boot.ok, level: boot.level }
+  };
+}
+
+function gpdSection(eventsByYear, years, u, runHours, B) {
+  // Declustered per year so a resampled (repeated) year contributes its own storms; a storm
+  // straddling New Year's counts once in each year, which is rare enough to ignore
+  const peaksByYear = new Map(years.map(y => [y, declusterPeaks(eventsByYear.get(y), u, { runHours }).map(e => e.ft)]));
+  const fitYears = ys => fitGPD(ys.flatMap(y => peaksByYear.get(y)), u, ys.length);
+
+  const fit = fitYears(years);
+  if (!fit) return null;
+
+  const boot = bootstrapLevels(years, fitYears, gpdReturnLevel, RETURN_PERIODS, { B });
+  return {
+    threshold: r3(u),
+    decluster_hours: runHours,
+    n_exceed: fit.nExceed,
+    rate_per_year: r3(fit.rate),
+    params: { sigma: r3(fit.sigma), xi: r3(fit.xi) },
+    levels: levelsTable(T => gpdReturnLevel(fit, T), boot),
+    bootstrap: { B: boot.B, ok: boot.ok, level: boot.level }
+  };
+}
+
+// -------------------------
+// Main
+// -------------------------
+function main() {
+  const station = selectStation();
+  const minCoverage = numArg("--min-coverage", DEFAULT_MIN_COVERAGE);
+  const runHours = numArg("--run-hours", DEFAULT_RUN_HOURS);
+  const B = numArg("--bootstrap", DEFAULT_BOOTSTRAP);
+  const u = numArg("--gpd-threshold", Number(station.thresholdsNAVD88?.minorLow));
+  if (!Number.isFinite(u)) die(`No --gpd-threshold and no thresholdsNAVD88.minorLow for ${station.id}`);
+
+  let cache;
+  try {
+    cache = readPeaksEvents(path.join(ROOT, station.output));
+  } catch (err) {
+    die(err.message || err);
+  }
+
+  const { used, excluded } = annualMaxima(cache.events, { minCoverage });
+  if (used.length < 10) die(`Only ${used.length} years with >= ${minCoverage * 100}% coverage; need 10 for a fit`);
+  const years = used.map(m => m.year);
+
+  const eventsByYear = new Map(years.map(y => [y, []]));
+  for (const e of cache.events) {
+    if (e.kind === "CrestLow") continue;
+    const list = eventsByYear.get(new Date(e.t).getUTCFullYear());
+    if (list) list.push(e);
+  }
+
+  const gev = gevSection(used, B);
+  const gpd = gpdSection(eventsByYear, years, u, runHours, B);
+  if (!gev && !gpd) die("Neither fit converged.");
+
+  const doc = {
+    generated_utc: new Date().toISOString(),
+    station: station.id,
+    site: station.usgsSite,
+    datum: "NAVD88",
+    method: cache.manifest.method || null,
+    periods: RETURN_PERIODS,
+    min_coverage: minCoverage,
+    xi_bound: XI_BOUND,
+    years: { used: years, excluded },
+    gev,
+    gpd,
+    annual_maxima: used.map(m => ({ year: m.year, ft: m.ft, t: m.t, crest: m.crest }))
+  };
+
+  const prev = fs.existsSync(OUT_PATH) ? loadJSON(OUT_PATH) : null;
+  const strip = d => JSON.stringify({ ...d, generated_utc: null });
+  if (prev && strip(prev) === strip(doc)) {
+    console.log("Return periods unchanged.");
+    return;
+  }
+
+  fs.writeFileSync(OUT_PATH, JSON.stringify(doc, null, 2) + "\n", "utf8");
+  console.log(`Wrote ${path.relative(ROOT, OUT_PATH)} (${years.length} years${excluded.length ? `, ${excluded.length} excluded for coverage` : ""})`);
+  for (const [name, sec] of [["GEV", gev], ["GPD", gpd]]) {
+    if (!sec) { console.log(`  ${name}: no fit`); continue; }
+    console.log(`  ${name} ${JSON.stringify(sec.params)}: ` + sec.levels.map(l => `${l.T}y ${l.ft} [${l.lo}, ${l.hi}]`).join(" · "));
+  }
+}
+
+main();
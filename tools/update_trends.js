@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+/**
+ * Long-term trends of high water and flood frequency from the peaks cache
+ *
+ * Writes data/trends.json (NAVD88) for the dashboard's trend panel:
+ *   annual            per year: mean of the crest-anchored highs, flood-tide counts (>= minor,
+ *                     >= moderate, from the event types) and coverage (highs recorded / expected)
+ *   mean_high_trend   OLS of the annual mean high on year, slope in ft/decade with 95% CI and p
+ *   flood_trends      log-linear trend of the yearly >= minor / >= moderate counts with coverage as
+ *                     exposure: Poisson GLM, negative binomial when overdispersed; reported as the
+ *                     rate ratio per decade (1.5 = 50% more flood tides every ten years)
+ *   decades           decade-by-decade means: mean high, flood tides per year, highest tide
+ * Years with less than --min-coverage of the expected high tides are left out (a gap in the record
+ * would read as a drop in floods), as in tools/update_return_periods.js.
+ *
+ * Usage:
+ *   node tools/update_trends.js [--station=bivalve] [--min-coverage=0.8]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readPeaksEvents } = require("./lib/peaks_cache");
+const { linearTrend, countTrend } = require("./lib/trends");
+
+// -------------------------
+// Config
+// -------------------------
+const ROOT = path.join(__dirname, "..");
+const STATIONS_PATH = path.join(ROOT, "data", "stations.json");
+const OUT_PATH = path.join(ROOT, "data", "trends.json");
+
+const DEFAULT_MIN_COVERAGE = 0.8;
+const HIGHS_PER_YEAR = 365.25 * 24 / 12.42;
+const MIN_YEARS = 10;
+const FLOOD_LEVELS = {
+  minor: ["Minor", "Moderate", "Major"],
+  moderate: ["Moderate", "Major"]
+};
+
+// -------------------------
+// Helpers
+// -------------------------
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function loadJSON(p) {
+  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function selectStation() {
+  const reg = loadJSON(STATIONS_PATH);
+  const stations = Array.isArray(reg?.stations) ? reg.stations : [];
+  const want = parseArg("--station") || reg.default;
+  const st = stations.find(s => s.id === want || s.usgsSite === want);
+  if (!st) die(`Station "${want}" not found in ${STATIONS_PATH}`);
+  return st;
+}
+
+const r3 = x => Number.isFinite(x) ? Math.round(x * 1000) / 1000 : null;
+const r4 = x => Number.isFinite(x) ? Math.round(x * 10000) / 10000 : null;
+
+// -------------------------
+// Aggregation
+// -------------------------
+function annualSummary(events) {
+  const byYear = new Map();
+  for (const e of events) {
+    if (e.kind === "CrestLow" || !Number.isFinite(e.ft)) continue;
+    const y = new Date(e.t).getUTCFullYear();
+    if (!byYear.has(y)) byYear.set(y, { year: y, n: 0, sum: 0, max: null, minor: 0, moderate: 0 });
+    const rec = byYear.get(y);
+    rec.n++;
+    rec.sum += e.ft;
+    if (!rec.max || e.ft > rec.max.ft) rec.max = e;
+    if (FLOOD_LEVELS.minor.includes(e.type)) rec.minor++;
+    if (FLOOD_LEVELS.moderate.includes(e.type)) rec.moderate++;
+  }
+  return [...byYear.values()]
+    .sort((a, b) => a.year - b.year)
+    .map(rec => ({
+      year: rec.year,
+      coverage: r3(rec.n / HIGHS_PER_YEAR),
+      n: rec.n,
+      mean_high: r3(rec.sum / rec.n),
+      max_high: { ft: rec.max.ft, t: rec.max.t },
+      floods_minor: rec.minor,
+      floods_moderate: rec.moderate
+    }));
+}
+
+function decadeSummary(annual) {
+  const byDecade = new Map();
+  for (const a of annual) {
+    const d = Math.floor(a.year / 10) * 10;
+    if (!byDecade.has(d)) byDecade.set(d, []);
+    byDecade.get(d).push(a);
+  }
+  return [...byDecade.entries()].sort((a, b) => a[0] - b[0]).map(([d, rows]) => {
+    const exposure = rows.reduce((s, r) => s + Math.min(1, r.coverage), 0);
+    const max = rows.reduce((m, r) => (!m || r.max_high.ft > m.ft ? r.max_high : m), null);
+    return {
+      decade: d,
+      years: rows.map(r => r.year),
+      mean_high: r3(rows.reduce((s, r) => s + r.mean_high, 0) / rows.length),
+      floods_minor_per_year: r3(rows.reduce((s, r) => s + r.floods_minor, 0) / exposure),
+      floods_moderate_per_year: r3(rows.reduce((s, r) => s + r.floods_moderate, 0) / exposure),
+      max_high: max
+    };
+  });
+}
+
+// -------------------------
+// Trends
+// -------------------------
+function meanHighTrend(annual) {
+  const fit = linearTrend(annual.map(a => a.year), annual.map(a => a.mean_high));
+  if (!fit) return null;
+  return {
+    slope_ft_per_decade: r4(fit.slope * 10),
+    se: r4(fit.se * 10),
+    ci: fit.ci.map(v => r4(v * 10)),
+    p: r4(fit.p),
+    r2: r3(fit.r2),
+    n: fit.n,
+    // fitted line end points, for drawing
+    line: [annual[0].year, annual[annual.length - 1].year].map(y => ({ year: y, ft: r3(fit.intercept + fit.slope * y) }))
+  };
+}
+
+function floodTrend(annual, key) {
+  const fit = countTrend(
+    annual.map(a => a.year),
+    annual.map(a => a[key]),
+    annual.map(a => Math.min(1, a.coverage))
+  );
+  if (!fit) return null;
+  return {
+    model: fit.model,
+    rate_ratio_per_decade: r3(Math.exp(fit.slope * 10)),
+    ci: fit.ci.map(v => r3(Math.exp(v * 10))),
+    p: r4(fit.p),
+    dispersion: r3(fit.dispersion),
+    theta: fit.theta === null ? null : r3(fit.theta),
+    fitted: [annual[0].year, annual[annual.length - 1].year].map(y => ({ year: y, per_year: r3(fit.fitted(y)) }))
+  };
+}
+
+// -------------------------
+// Main
+// -------------------------
+function main() {
+  const station = selectStation();
+  const minCoverage = Number(parseArg("--min-coverage") || DEFAULT_MIN_COVERAGE);
+  if (!Number.isFinite(minCoverage)) die("Bad --min-coverage");
+
+  let cache;
+  try {
+    cache = readPeaksEvents(path.join(ROOT, station.output));
+  } catch (err) {
+    die(err.message || err);
+  }
+
+  const all = annualSummary(cache.events);
+  const annual = all.filter(a => a.coverage >= minCoverage);
+  const excluded = all.filter(a => a.coverage < minCoverage).map(a => ({ year: a.year, coverage: a.coverage }));
+  if (annual.length < MIN_YEARS) die(`Only ${annual.length} years with >= ${minCoverage * 100}% coverage; need ${MIN_YEARS} for a trend`);
+
+  const doc = {
+    generated_utc: new Date().toISOString(),
+    station: station.id,
+    site: station.usgsSite,
+    datum: "NAVD88",
+    method: cache.manifest.method || null,
+    min_coverage: minCoverage,
+    years: { used: annual.map(a => a.year), excluded },
+    mean_high_trend: meanHighTrend(annual),
+    flood_trends: {
+      minor: floodTrend(annual, "floods_minor"),
+      moderate: floodTrend(annual, "floods_moderate")
+    },
+    decades: decadeSummary(annual),
+    annual
+  };
+
+  const prev = fs.existsSync(OUT_PATH) ? loadJSON(OUT_PATH) : null;
+  const strip = d => JSON.stringify({ ...d, generated_utc: null });
+  if (prev && strip(prev) === strip(doc)) {
+    console.log("Trends unchanged.");
+    return;
+  }
+
+  fs.writeFileSync(OUT_PATH, JSON.stringify(doc, null, 2) + "\n", "utf8");
+  const mh = doc.mean_high_trend;
+  console.log(`Wrote ${path.relative(ROOT, OUT_PATH)} (${annual.length} years${excluded.length ? `, ${excluded.length} excluded for coverage` : ""})`);
+  if (mh) console.log(`  mean high: ${mh.slope_ft_per_decade} ft/decade [${mh.ci.join(", ")}], p=${mh.p}`);
+  for (const [k, t] of Object.entries(doc.flood_trends)) {
+    if (!t) { console.log(`  ${k}: no trend (no floods)`); continue; }
+    console.log(`  >= ${k}: x${t.rate_ratio_per_decade}/decade [${t.ci.join(", ")}], p=${t.p} (${t.model}, dispersion ${t.dispersion})`);
+  }
+}
+
+main();
@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * PETSS forecast verification against observed USGS water levels
+ *
+ * Pairs the archived PETSS cycles in data/petss_archive/ (written by update_petss_forecast.js)
+ * of the station's petssStid (its PETSS/NOMADS station id in data/stations.json)
+ * with the observed USGS IV series for the station (parameter 72279, NAVD88 -> MLLW using the
+ * station's datum table data/datums/<noaaStation>.json) and
+ * scores them by lead time (0–24h, 24–48h, 48–72h):
+ *   - bias and RMSE of the hourly ensemble-mean TWL (forecast minus observed)
+ *   - peak-timing error: each forecast high-water peak vs the observed max within ±3h
+ *   - minor-flood contingency per forecast peak: hits / misses / false alarms / correct negatives
+ *
+ * Writes to: data/petss_verification.json (read by the dashboard)
+ *
+ * Usage:
+ *   node tools/verify_petss_forecast.js
+ *     -> score cycles issued in the last 60 days, default station in data/stations.json
+ *
+ *   node tools/verify_petss_forecast.js --days=120 --station=bivalve
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadDatumTable } = require("./lib/datums");
+const { fetchUSGSIV } = require("./lib/usgs_iv"); // same requests as update_peaks_navd88.js
+
+// -------------------------
+// Config
+// -------------------------
+const ROOT = path.join(__dirname, "..");
+const STATIONS_PATH = path.join(ROOT, "data", "stations.json");
+const ARCHIVE_DIR = path.join(ROOT, "data", "petss_archive");
+const OUT_PATH = path.join(ROOT, "data", "petss_verification.json");
+
+const DEFAULT_DAYS = 60;
+const LEAD_BINS = [
+  { label: "0–24h", lo: 0, hi: 24 },
+  { label: "24–48h", lo: 24, hi: 48 },
+  { label: "48–72h", lo: 48, hi: 72 }
+];
+
+const PAIR_MAX_GAP_MINUTES = 30;   // only interpolate obs across gaps this small
+const PEAK_WINDOW_HOURS = 3;       // observed peak search window around a forecast peak
+
+// -------------------------
+// Helpers
+// -------------------------
+function die(msg) {
+  console.error(msg);
+  process.exit(1);
+}
+
+function loadJSON(p) {
+  if (!fs.existsSync(p)) die(`Missing file: ${p}`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function saveJSON(p, obj) {
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2) + "\n", "utf8");
+}
+
+function parseArg(name) {
+  const a = process.argv.find(x => x.startsWith(name + "="));
+  return a ? a.split("=").slice(1).join("=") : null;
+}
+
+function round(x, n = 3) {
+  if (!Number.isFinite(x)) return null;
+  const f = Math.pow(10, n);
+  return Math.round(x * f) / f;
+}
+
+function loadStation() {
+  const reg = loadJSON(STATIONS_PATH);
+  const stations = Array.isArray(reg?.stations) ? reg.stations : [];
+  const want = parseArg("--station") || reg.default || stations[0]?.id;
+  const st = stations.find(s => s.id === want || s.usgsSite === want);
+  if (!st) die(`Unknown --station=${want}. Known: ${stations.map(s => s.id).join(", ")}`);
+  if (!st.petssStid) die(`Station ${st.id} has no petssStid in ${STATIONS_PATH}`);
+  return st;
+}
+
+// -------------------------
+// Archive
+// -------------------------
+function loadArchivedCycles({ stid, sinceMs }) {
+  if (!fs.existsSync(ARCHIVE_DIR)) return [];
+
+  const cycles = [];
+  for (const name of fs.readdirSync(ARCHIVE_DIR)) {
+    if (!name.endsWith(".json")) continue;
+
+    const doc = JSON.parse(fs.readFileSync(path.join(ARCHIVE_DIR, name), "utf8"));
+    if (String(doc?.stid) !== String(stid)) continue;
+
+    const issuedMs = new Date(doc.issued_utc).getTime();
+    if (!Number.isFinite(issuedMs) || issuedMs < sinceMs) continue;
+
+    const fields = Array.isArray(doc.fields) ? doc.fields : [];
+    const iT = fields.indexOf("t");
+    const iTWL = fields.indexOf("twl");
+    if (iT < 0 || iTWL < 0) continue;
+
+    const points = (doc.rows || [])
+      .map(r => ({ ms: new Date(r[iT]).getTime(), ft: Number(r[iTWL]) }))
+      .filter(p => Number.isFinite(p.ms) && Number.isFinite(p.ft) && p.ms >= issuedMs)
+      .sort((a, b) => a.ms - b.ms);
+
+    if (points.length) cycles.push({ key: `${doc.run_dir}_${doc.cycle}`, issuedMs, points });
+  }
+
+  cycles.sort((a, b) => a.issuedMs - b.issuedMs);
+  return cycles;
+}
+
+// -------------------------
+// Pairing + scoring
+// -------------------------
+
+// Observed MLLW at an exact time, linearly interpolated between bracketing points
+function obsAt(obs, ms) {
+  let lo = 0, hi = obs.length - 1;
+  if (!obs.length || ms < obs[0].ms || ms > obs[hi].ms) return null;
+
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (obs[mid].ms <= ms) lo = mid; else hi = mid;
+  }
+
+  const a = obs[lo], b = obs[hi];
+  if (a.ms === ms) return a.ft;
+  if (b.ms === ms) return b.ft;
+  if (b.ms - a.ms > PAIR_MAX_GAP_MINUTES * 60 * 1000) return null;
+  return a.ft + (b.ft - a.ft) * (ms - a.ms) / (b.ms - a.ms);
+}
+
+function obsMaxNear(obs, ms, halfMs) {
+  let best = null;
+  for (const p of obs) {
+    if (p.ms < ms - halfMs) continue;
+    if (p.ms > ms + halfMs) break;
+    if (!best || p.ft > best.ft) best = p;
+  }
+  return best;
+}
+
+// Local maxima of the hourly forecast (one per tide cycle)
+function forecastPeaks(points) {
+  const out = [];
+  for (let i = 1; i < points.length - 1; i++) {
+    const a = points[i - 1], b = points[i], c = points[i + 1];
+    if (b.ft >= a.ft && b.ft > c.ft) out.push(b);
+  }
+  return out;
+}
+
+function binFor(leadH) {
+  return LEAD_BINS.find(b => leadH >= b.lo && leadH < b.hi) || null;
+}
+
+function newAcc() {
+  return {
+    n: 0, sumErr: 0, sumSq: 0,
+    peaks: 0, sumTiming: 0, sumAbsTiming: 0, sumPeakErr: 0,
+    hits: 0, misses: 0, falseAlarms: 0, correctNegatives: 0
+  };
+}
+
+function verify({ cycles, obs, minorMllw }) {
+  const acc = new Map(LEAD_BINS.map(b => [b.label, newAcc()]));
+  const peakHalfMs = PEAK_WINDOW_HOURS * 3600 * 1000;
+  const lastObsMs = obs.length ? obs[obs.length - 1].ms : -Infinity;
+
+  for (const c of cycles) {
+    // Hourly bias / RMSE
+    for (const p of c.points) {
+      const bin = binFor((p.ms - c.issuedMs) / 3600000);
+      if (!bin) continue;
+      const o = obsAt(obs, p.ms);
+      if (o == null) continue;
+
+      const a = acc.get(bin.label);
+      const err = p.ft - o;
+      a.n++;
+      a.sumErr += err;
+      a.sumSq += err * err;
+    }
+
+    // Peaks: timing + minor-flood contingency
+    for (const fp of forecastPeaks(c.points)) {
+      const bin = binFor((fp.ms - c.issuedMs) / 3600000);
+      if (!bin) continue;
+      if (fp.ms + peakHalfMs > lastObsMs) continue; // observed window not complete yet
+
+      const op = obsMaxNear(obs, fp.ms, peakHalfMs);
+      if (!op) continue;
+
+      const a = acc.get(bin.label);
+      const timingMin = (fp.ms - op.ms) / 60000;
+      a.peaks++;
+      a.sumTiming += timingMin;
+      a.sumAbsTiming += Math.abs(timingMin);
+      a.sumPeakErr += fp.ft - op.ft;
+
+      const fcstFlood = fp.ft >= minorMllw;
+      const obsFlood = op.ft >= minorMllw;
+      if (fcstFlood && obsFlood) a.hits++;
+      else if (!fcstFlood && obsFlood) a.misses++;
+      else if (fcstFlood && !obsFlood) a.falseAlarms++;
+      else a.correctNegatives++;
+    }
+  }
+
+  return LEAD_BINS.map(b => {
+    const a = acc.get(b.label);
+    const flooded = a.hits + a.misses;
+    const warned = a.hits + a.falseAlarms;
+    return {
+      lead: b.label,
+      n: a.n,
+      bias_ft: a.n ? round(a.sumErr / a.n) : null,
+      rmse_ft: a.n ? round(Math.sqrt(a.sumSq / a.n)) : null,
+      peaks: {
+        n: a.peaks,
+        timing_error_min: a.peaks ? round(a.sumTiming / a.peaks, 1) : null,
+        abs_timing_error_min: a.peaks ? round(a.sumAbsTiming / a.peaks, 1) : null,
+        height_bias_ft: a.peaks ? round(a.sumPeakErr / a.peaks) : null
+      },
+      minor: {
+        hits: a.hits,
+        misses: a.misses,
+        false_alarms: a.falseAlarms,
+        correct_negatives: a.correctNegatives,
+        pod: flooded ? round(a.hits / flooded, 2) : null,
+        far: warned ? round(a.falseAlarms / warned, 2) : null
+      }
+    };
+  });
+}
+
+// -------------------------
+// Main
+// -------------------------
+async function main() {
+  const station = loadStation();
+  const days = Number(parseArg("--days") || DEFAULT_DAYS);
+  if (!Number.isFinite(days) || days <= 0) die("Invalid --days=N");
+
+  let datums;
+  try {
+    datums = loadDatumTable(station.noaaStation);
+  } catch (e) {
+    die(e.message);
+  }
+
+  const nowMs = Date.now();
+  const cycles = loadArchivedCycles({ stid: station.petssStid, sinceMs: nowMs - days * 86400 * 1000 });
+  if (!cycles.length) {
+    console.log(`No archived PETSS cycles for ${station.petssStid} in the last ${days} days; nothing to verify.`);
+    return;
+  }
+
+  const startISO = new Date(cycles[0].issuedMs).toISOString();
+  const endISO = new Date(nowMs).toISOString();
+  console.log(`Cycles: ${cycles.length} (${cycles[0].key} … ${cycles[cycles.length - 1].key})`);
+  console.log(`USGS ${station.usgsSite} ${station.parameterCd}: ${startISO} → ${endISO}`);
+
+  const series = await fetchUSGSIV({
+    site: station.usgsSite,
+    parameterCd: station.parameterCd,
+    startISO,
+    endISO
+  });
+
+  // USGS 72279 is NAVD88; PETSS is MLLW
+  const obs = series
+    .map(p => ({ ms: new Date(p.t).getTime(), ft: datums.convert(p.ft, "NAVD88", "MLLW") }))
+    .filter(p => Number.isFinite(p.ms) && Number.isFinite(p.ft));
+
+  const minorMllw = round(datums.convert(station.thresholdsNAVD88.minorLow, "NAVD88", "MLLW"));
+  const leads = verify({ cycles, obs, minorMllw });
+
+  const out = {
+    stid: station.petssStid,
+    site: station.usgsSite,
+    parameterCd: station.parameterCd,
+    datum: "MLLW",
+    datum_table_version: datums.version,
+    minor_ft_mllw: minorMllw,
+    generated_utc: new Date().toISOString(),
+    window_days: days,
+    n_cycles: cycles.length,
+    first_cycle: cycles[0].key,
+    last_cycle: cycles[cycles.length - 1].key,
+    n_obs: obs.length,
+    leads
+  };
+
+  saveJSON(OUT_PATH, out);
+
+  for (const l of leads) {
+    console.log(
+      `${l.lead.padEnd(7)} n=${l.n} bias=${l.bias_ft} rmse=${l.rmse_ft} ` +
+      `peak timing=${l.peaks.timing_error_min}min (|${l.peaks.abs_timing_error_min}|) ` +
+      `minor H/M/FA=${l.minor.hits}/${l.minor.misses}/${l.minor.false_alarms}`
+    );
+  }
+  console.log(`Wrote ${path.relative(ROOT, OUT_PATH)}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});